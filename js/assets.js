@@ -0,0 +1,111 @@
+// Asset preloader
+// Fetches everything in self.ASSET_MANIFEST (js/manifest.js) before the
+// experience starts, so first playback doesn't stall on a large download.
+// Audio is kept as blob URLs (Assets.url); other files just warm the cache.
+
+(() => {
+  const CONCURRENCY = 4; // Parallel downloads
+  const TIMEOUT = 20000; // Per file (ms) before it counts as missing
+
+  const blobUrls = new Map(); // path => blob: URL of a preloaded audio file
+  let missing = [];
+
+  // Manifest files plus whatever js/story.js and the bubble content files
+  // reference (voice tracks, portraits, ambience layers); files the manifest
+  // forgot are warned about. Content files must be loaded (Content.load) first.
+  function collectPaths() {
+    const manifest = self.ASSET_MANIFEST || {};
+    const listed = [].concat(
+      manifest.audio || [],
+      manifest.images || [],
+      manifest.fonts || [],
+      manifest.captions || []
+    );
+
+    const story = window.STORY || {};
+    const fromStory = [];
+    Object.values(story.ambience || {}).forEach(profile => {
+      profile.layers.forEach(layer => fromStory.push(`assets/audio/${layer.file}`));
+    });
+    (story.scenes || []).forEach(scene => {
+      (scene.bubbles || []).forEach(bubble => {
+        const card = bubble.card && window.Content ? window.Content.get(bubble.card) : null;
+        ((card ? card.voice : bubble.voice) || []).forEach(track => fromStory.push(`assets/audio/${track}`));
+        if (card && card.portrait) fromStory.push(`assets/img/${card.portrait}`);
+      });
+    });
+
+    const unlisted = fromStory.filter(path => !listed.includes(path));
+    if (unlisted.length) {
+      console.warn('[ASSETS] Referenced by js/story.js or content/ but not in js/manifest.js:', Array.from(new Set(unlisted)));
+    }
+
+    return Array.from(new Set(listed.concat(fromStory)));
+  }
+
+  async function fetchAsset(path) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = setTimeout(() => controller && controller.abort(), TIMEOUT);
+    try {
+      const res = await fetch(encodeURI(path), controller ? { signal: controller.signal } : undefined);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      if (path.startsWith('assets/audio/')) {
+        blobUrls.set(path, URL.createObjectURL(await res.blob()));
+      } else {
+        await res.blob();
+      }
+      return true;
+    } catch (e) {
+      missing.push({ path, reason: e.name === 'AbortError' ? 'timeout' : e.message });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Fetch every asset; onProgress(loaded, total) after each file
+  // Resolves to { total, missing: [{ path, reason }] }
+  async function preload(onProgress) {
+    const paths = collectPaths();
+    const queue = paths.slice();
+    let loaded = 0;
+    missing = [];
+
+    const worker = async () => {
+      while (queue.length) {
+        await fetchAsset(queue.shift());
+        loaded++;
+        if (onProgress) onProgress(loaded, paths.length);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, paths.length) }, worker));
+
+    if (missing.length) {
+      console.warn(`[ASSETS] ${missing.length} of ${paths.length} assets missing:`, missing);
+    } else {
+      console.log(`[ASSETS] Preloaded ${paths.length} assets`);
+    }
+    return { total: paths.length, missing: missing.slice() };
+  }
+
+  // Preloaded blob URL for a path, or the path itself
+  function url(path) {
+    return blobUrls.get(path) || path;
+  }
+
+  // Play a local file (attached in the editor) under its asset path
+  function add(path, blob) {
+    if (blobUrls.has(path)) URL.revokeObjectURL(blobUrls.get(path));
+    blobUrls.set(path, URL.createObjectURL(blob));
+  }
+
+  window.Assets = {
+    preload,
+    url,
+    add,
+    get missing() {
+      return missing.slice();
+    }
+  };
+})();
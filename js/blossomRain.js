@@ -6,9 +6,13 @@
   let sceneEl = null;
   let container = null;
   let running = false;
+  let paused = false;
   let spawnIntervalId = null;
   let petalsActive = new Set();
+  let petalAnimations = new Map(); // petal => its fall animation
   let maxPetals = 90; // adjustable cap (50–120 recommended)
+  let reducedMotion = false; // fewer petals, no spinning (see setReducedMotion)
+  const REDUCED_MAX_PETALS = 20;
   let blossomSvgText = null;
 
   // Utility: load SVG once (text) and reuse
@@ -47,10 +51,15 @@
     return wrap;
   }
 
+  // Petal cap for the current motion setting
+  function petalCap() {
+    return reducedMotion ? Math.min(maxPetals, REDUCED_MAX_PETALS) : maxPetals;
+  }
+
   // Spawn logic: creates and animates a petal using Web Animations API
   function spawnPetal() {
     if (!running || !container) return;
-    if (petalsActive.size >= maxPetals) return;
+    if (petalsActive.size >= petalCap()) return;
 
     const vw = window.innerWidth;
     const vh = window.innerHeight;
@@ -64,7 +73,7 @@
     const totalFall = vh + 200; // extra to fall past viewport
 
     const initialRotation = Math.random() * 360;
-    const rotationDelta = 120 + Math.random() * 240; // 120–360 deg over fall
+    const rotationDelta = reducedMotion ? 0 : 120 + Math.random() * 240; // 120–360 deg over fall
 
     const petal = createPetalNode();
 
@@ -97,10 +106,13 @@
       composite: 'replace'
     });
 
+    petalAnimations.set(petal, anim);
+
     anim.onfinish = () => {
       // Cleanup this petal
       try { petal.remove(); } catch (e) {}
       petalsActive.delete(petal);
+      petalAnimations.delete(petal);
     };
   }
 
@@ -110,7 +122,7 @@
     // Spawn rate adapts to cap: faster when fewer active
     spawnIntervalId = setInterval(() => {
       // Spawn 0–3 petals per tick depending on active count
-      const deficit = Math.max(0, maxPetals - petalsActive.size);
+      const deficit = Math.max(0, petalCap() - petalsActive.size);
       const toSpawn = deficit > 60 ? 3 : deficit > 30 ? 2 : 1;
       for (let i = 0; i < toSpawn; i++) spawnPetal();
     }, 220); // ~4–13 petals/sec depending on cap
@@ -143,7 +155,7 @@
 
     loadBlossomSVG()
       .then(() => {
-        startSpawner();
+        if (!paused) startSpawner();
       })
       .catch(err => {
         console.log('[BLOSSOM] Failed to load Blossom.svg:', err);
@@ -152,7 +164,9 @@
 
   function destroyBlossomRain() {
     running = false;
+    paused = false;
     stopSpawner();
+    petalAnimations.clear();
     // Fade out all active petals before removal for a smooth exit
     const fadeDuration = 600; // ms
     petalsActive.forEach(petal => {
@@ -194,9 +208,34 @@
     }, fadeDuration + 50);
   }
 
+  // Freeze the rain (global pause): no new petals, falling petals hold still
+  function pauseBlossomRain() {
+    if (!running || paused) return;
+    paused = true;
+    stopSpawner();
+    petalAnimations.forEach(anim => anim.pause());
+  }
+
+  // Continue where pauseBlossomRain left off
+  function resumeBlossomRain() {
+    if (!paused) return;
+    paused = false;
+    petalAnimations.forEach(anim => anim.play());
+    if (running && blossomSvgText) startSpawner();
+  }
+
+  // Reduced motion (main.js): cap the rain at REDUCED_MAX_PETALS and stop
+  // new petals from spinning; petals already falling finish as they were
+  function setReducedMotion(enabled) {
+    reducedMotion = Boolean(enabled);
+  }
+
   // Expose functions without polluting global namespace too much
   window.BlossomRain = {
     initBlossomRainForScene8,
-    destroyBlossomRain
+    destroyBlossomRain,
+    pauseBlossomRain,
+    resumeBlossomRain,
+    setReducedMotion
   };
 })();
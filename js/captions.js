@@ -0,0 +1,121 @@
+// Captions for narration tracks
+// Loads WebVTT cue files (assets/captions/<track>.vtt) so the bubble sentences
+// follow the speaker: cue N reveals and highlights sentence N of the track.
+// The cue times in assets/captions are estimates (spread over each track by
+// sentence length, see the NOTE in each file), so the sync allows for drift.
+
+(() => {
+  // One fetch per track, shared by every bubble that plays it
+  const cueCache = new Map();
+
+  // Seconds a sentence appears before its cue starts, so a cue that runs late
+  // does not leave the speaker ahead of the text
+  const LEAD = 0.6;
+
+  // "00:01:02.500" or "01:02.500" → seconds
+  function parseTimestamp(value) {
+    const parts = value.split(':').map(Number);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  // Minimal WebVTT parser: returns [{ id, start, end, text }]
+  // Header, NOTE and STYLE blocks (no "-->" line) are skipped
+  function parseVTT(text) {
+    const cues = [];
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    blocks.forEach(block => {
+      const lines = block.trim().split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) return;
+
+      // Cue settings after the end time (e.g. "line:0") are ignored
+      const [start, end] = lines[timingIndex]
+        .split('-->')
+        .map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+      if (isNaN(start) || isNaN(end)) return;
+
+      cues.push({
+        id: timingIndex > 0 ? lines[0] : String(cues.length + 1),
+        start,
+        end,
+        text: lines.slice(timingIndex + 1).join('\n')
+      });
+    });
+
+    return cues;
+  }
+
+  // Resolves to the cues of a track, or null when it has no (valid) cue file
+  function loadCues(track) {
+    if (!cueCache.has(track)) {
+      const url = `assets/captions/${track.replace(/\.[^.]+$/, '')}.vtt`;
+      const request = fetch(encodeURI(url))
+        .then(res => (res.ok ? res.text() : null))
+        .then(text => {
+          const cues = text ? parseVTT(text) : [];
+          return cues.length ? cues : null;
+        })
+        .catch(e => {
+          console.warn(`[CAPTIONS] Could not load ${url}:`, e);
+          return null;
+        });
+      cueCache.set(track, request);
+    }
+    return cueCache.get(track);
+  }
+
+  // Drive sentence reveal (.sentence-animate) and highlight (.sentence-active)
+  // from audio.currentTime; onReveal(sentence) runs when a sentence appears.
+  // sentences[N] follows cue N; null entries (not on screen) are skipped.
+  // A sentence shows LEAD seconds before its cue and stays highlighted until
+  // the next one takes over; when the track ends every sentence is shown.
+  // Returns { refresh, detach }.
+  function syncSentences(audio, sentences, cues, onReveal) {
+    const show = (sentence) => {
+      if (onReveal && !sentence.classList.contains('sentence-animate')) onReveal(sentence);
+      sentence.classList.add('sentence-animate');
+    };
+
+    const refresh = () => {
+      const time = audio.currentTime;
+      cues.forEach((cue, index) => {
+        const sentence = sentences[index];
+        if (!sentence) return;
+        const next = cues[index + 1];
+        const shown = time >= cue.start - LEAD;
+        if (shown) show(sentence);
+        // Toggled both ways so seeking back hides what has not been said yet
+        sentence.classList.toggle('sentence-animate', shown);
+        sentence.classList.toggle('sentence-active', shown && (next ? time < next.start - LEAD : time < cue.end));
+      });
+    };
+
+    // Cues that run past the end of the recording still show their sentence
+    const finish = () => {
+      sentences.slice(0, cues.length).filter(Boolean).forEach(sentence => {
+        sentence.classList.remove('sentence-active');
+        show(sentence);
+      });
+    };
+
+    audio.addEventListener('timeupdate', refresh);
+    audio.addEventListener('ended', finish);
+    refresh();
+
+    return {
+      refresh,
+      detach() {
+        audio.removeEventListener('timeupdate', refresh);
+        audio.removeEventListener('ended', finish);
+        sentences.filter(Boolean).forEach(sentence => sentence.classList.remove('sentence-active'));
+      }
+    };
+  }
+
+  window.Captions = {
+    parseVTT,
+    loadCues,
+    syncSentences
+  };
+})();
@@ -0,0 +1,334 @@
+// Bubble content files
+// Card text for the story's bubbles lives in content/<locale>/<id>.md (the
+// bubble's `card` field in js/story.js), so editors change text without
+// touching index.html. Content.build fills #bubble-layout-template with it.
+//
+// File format (see content/README.md):
+//   ---
+//   title: Volgens Copilot
+//   source:                      a list becomes lines (<br>)
+//     - ~Geneve Angelista,
+//     - Docent Maatschappij en Interactie CMD
+//   voice:                       narration per --- section (assets/audio)
+//     - Chat1.mp3
+//     - Chat2.mp3
+//   portrait: PaulBlok.png       photo next to the card (assets/img)
+//   portrait-side: left          left, right or bottom-left
+//   ---
+//   Text. Blank lines start a new paragraph, a line with --- a new page.
+//   Pages that don't fit the bubble are split further when it opens.
+//
+// Sentences are split automatically after . ! ? followed by a capital. Text
+// may use **bold** and *italic*; other markup is shown as typed.
+// Translations (content/en/...) only need title, source and text; voice and
+// portrait always come from the Dutch file.
+
+(() => {
+  const DIR = 'content';
+  const LAYOUT = 'bubble-layout-template';
+
+  // Lowercase words that end in a period without ending the sentence
+  const ABBREVIATIONS = ['bijv', 'bv', 'o.a', 'd.w.z', 'i.p.v', 'm.b.v', 'e.g', 'i.e', 'etc', 'dr', 'mr', 'nr', 'ca'];
+
+  const entries = new Map(); // path => parsed file
+  const requests = new Map(); // path => fetch promise, shared by every load
+  let missing = [];
+
+  function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // **bold** and *italic* on escaped text
+  function inline(text) {
+    return escapeHtml(text)
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>');
+  }
+
+  // Sentence ends: . ! ? (plus closing quotes) before whitespace and a capital
+  // or digit, unless the word before the period is a known abbreviation
+  function splitSentences(text) {
+    const boundary = /[.!?…]+["'”’)]*\s+(?=["'“‘(]?[\p{Lu}\d])/gu;
+    const sentences = [];
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text))) {
+      const word = text.slice(start, match.index).split(/\s+/).pop().toLowerCase();
+      if (match[0][0] === '.' && ABBREVIATIONS.includes(word)) continue;
+      sentences.push(text.slice(start, match.index + match[0].trimEnd().length));
+      start = match.index + match[0].length;
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest) sentences.push(rest);
+    return sentences;
+  }
+
+  // "key: value" lines, or "key:" followed by "- item" lines for a list
+  function parseFrontMatter(lines) {
+    const fields = {};
+    let listKey = null;
+
+    lines.forEach(line => {
+      const item = line.match(/^\s+-\s*(.*)$/);
+      if (item && listKey) {
+        fields[listKey].push(unquote(item[1]));
+        return;
+      }
+      const pair = line.match(/^([\w-]+):\s*(.*)$/);
+      if (!pair) return;
+      const key = pair[1].toLowerCase();
+      listKey = pair[2] ? null : key;
+      fields[key] = pair[2] ? unquote(pair[2]) : [];
+    });
+
+    return fields;
+  }
+
+  function unquote(value) {
+    return value.trim().replace(/^(["'])(.*)\1$/, '$2');
+  }
+
+  // Title and source: a list is shown as separate lines
+  function lines(value) {
+    if (value === undefined) return undefined;
+    return [].concat(value).map(inline).join('<br>');
+  }
+
+  // File text => { title, source, voice, portrait, portraitSide, paragraphs }
+  // paragraphs: [{ page, sentences: [html] }]; page counts --- markers
+  function parse(text) {
+    const all = text.replace(/\r\n?/g, '\n').split('\n');
+    let body = all;
+    let fields = {};
+    if (all[0].trim() === '---') {
+      const end = all.indexOf('---', 1);
+      if (end > 0) {
+        fields = parseFrontMatter(all.slice(1, end));
+        body = all.slice(end + 1);
+      }
+    }
+
+    const paragraphs = [];
+    let page = 1;
+    let buffer = [];
+    const flush = () => {
+      const paragraph = buffer.join(' ').replace(/\s+/g, ' ').trim();
+      if (paragraph) paragraphs.push({ page, sentences: splitSentences(paragraph).map(inline) });
+      buffer = [];
+    };
+
+    body.forEach(line => {
+      if (line.trim() === '---') {
+        flush();
+        page++;
+      } else if (!line.trim()) {
+        flush();
+      } else {
+        buffer.push(line.trim());
+      }
+    });
+    flush();
+
+    return {
+      title: lines(fields.title),
+      source: lines(fields.source),
+      voice: [].concat(fields.voice || []),
+      portrait: typeof fields.portrait === 'string' ? fields.portrait : null,
+      portraitSide: fields['portrait-side'] || 'left',
+      paragraphs
+    };
+  }
+
+  function pathOf(locale, id) {
+    return `${DIR}/${locale}/${id}.md`;
+  }
+
+  // Content ids of every bubble in js/story.js
+  function storyIds() {
+    const ids = [];
+    ((window.STORY && window.STORY.scenes) || []).forEach(scene => {
+      (scene.bubbles || []).forEach(bubble => {
+        if (bubble.card) ids.push(bubble.card);
+      });
+    });
+    return Array.from(new Set(ids));
+  }
+
+  // Fetched once; a missing Dutch file is reported, a missing translation
+  // falls back to Dutch
+  function fetchEntry(locale, id) {
+    const path = pathOf(locale, id);
+    if (!requests.has(path)) {
+      const request = fetch(encodeURI(path))
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.text();
+        })
+        .then(text => { entries.set(path, parse(text)); })
+        .catch(e => {
+          if (locale === I18n.SOURCE) {
+            missing.push({ path, reason: e.message });
+            console.warn(`[CONTENT] Could not load ${path}:`, e);
+          } else {
+            console.log(`[CONTENT] No ${locale} text for ${id}, using ${I18n.SOURCE}`);
+          }
+        });
+      requests.set(path, request);
+    }
+    return requests.get(path);
+  }
+
+  // Load the Dutch files and those of `locale`; resolves when all are done
+  function load(locale = I18n.locale) {
+    const ids = storyIds();
+    const listed = (self.ASSET_MANIFEST && self.ASSET_MANIFEST.content) || [];
+    const unlisted = ids.map(id => pathOf(I18n.SOURCE, id)).filter(path => !listed.includes(path));
+    if (unlisted.length) {
+      console.warn('[CONTENT] Used by js/story.js but not in js/manifest.js:', unlisted);
+    }
+
+    const locales = Array.from(new Set([I18n.SOURCE, locale]));
+    return Promise.all(locales.flatMap(code => ids.map(id => fetchEntry(code, id))))
+      .then(() => {
+        if (missing.length) console.warn(`[CONTENT] ${missing.length} content files missing:`, missing);
+      });
+  }
+
+  // Settles once the Dutch file of `id` and its `locale` translation have
+  // loaded or failed
+  function whenLoaded(id, locale = I18n.locale) {
+    const locales = Array.from(new Set([I18n.SOURCE, locale]));
+    return Promise.all(locales.map(code => fetchEntry(code, id)));
+  }
+
+  // Whether the Dutch file of `id` could not be loaded
+  function failed(id) {
+    const path = pathOf(I18n.SOURCE, id);
+    return missing.some(entry => entry.path === path);
+  }
+
+  // Entry in `locale` (text) with voice and portrait from the Dutch file;
+  // null until the Dutch file has loaded
+  function get(id, locale = I18n.locale) {
+    const source = entries.get(pathOf(I18n.SOURCE, id));
+    if (!source) return null;
+    const own = locale !== I18n.SOURCE && entries.get(pathOf(locale, id));
+    if (!own) return source;
+
+    // Caption cue N reveals sentence N, so translations keep the count
+    const count = entry => entry.paragraphs.reduce((total, p) => total + p.sentences.length, 0);
+    if (count(own) !== count(source)) {
+      console.warn(`[CONTENT] ${pathOf(locale, id)} has ${count(own)} sentences, ${pathOf(I18n.SOURCE, id)} has ${count(source)}`);
+    }
+
+    return Object.assign({}, source, {
+      title: own.title !== undefined ? own.title : source.title,
+      source: own.source !== undefined ? own.source : source.source,
+      paragraphs: own.paragraphs
+    });
+  }
+
+  // Replace an entry for this session (the editor, main.js); returns its path
+  function set(id, entry, locale = I18n.locale) {
+    const path = pathOf(locale, id);
+    entries.set(path, entry);
+    return path;
+  }
+
+  // Card html back to file text: <br> and block breaks become line breaks,
+  // <strong>/<em> become ** and *, other markup is dropped
+  function toText(html) {
+    const el = document.createElement('div');
+    el.innerHTML = html
+      .replace(/<br\s*\/?>|<\/(div|p)>/gi, '\n')
+      .replace(/<\/?(strong|b)(\s[^>]*)?>/gi, '**')
+      .replace(/<\/?(em|i)(\s[^>]*)?>/gi, '*');
+    return el.textContent.replace(/\u00a0/g, ' ');
+  }
+
+  // Front matter value: one line, or a list when it has several
+  function field(key, html) {
+    const parts = toText(html).split('\n').map(part => part.trim()).filter(Boolean);
+    if (parts.length < 2) return `${key}: ${parts[0] || ''}\n`;
+    return `${key}:\n${parts.map(part => `  - ${part}\n`).join('')}`;
+  }
+
+  // Entry => file text (the format above); translations leave out voice and
+  // portrait. Sentences go on their own line.
+  function stringify(entry, locale = I18n.SOURCE) {
+    let head = '';
+    if (entry.title) head += field('title', entry.title);
+    if (entry.source) head += field('source', entry.source);
+    if (locale === I18n.SOURCE) {
+      if (entry.voice.length === 1) head += `voice: ${entry.voice[0]}\n`;
+      if (entry.voice.length > 1) head += `voice:\n${entry.voice.map(track => `  - ${track}\n`).join('')}`;
+      if (entry.portrait) head += `portrait: ${entry.portrait}\n`;
+      if (entry.portrait && entry.portraitSide !== 'left') head += `portrait-side: ${entry.portraitSide}\n`;
+    }
+
+    let page = 1;
+    const body = entry.paragraphs.map(paragraph => {
+      const text = paragraph.sentences.map(html => toText(html).replace(/\s+/g, ' ').trim()).join('\n');
+      if (paragraph.page === page) return text;
+      page = paragraph.page;
+      return `---\n\n${text}`;
+    }).join('\n\n');
+
+    return `---\n${head}---\n\n${body}\n`;
+  }
+
+  // .bubble-content element for an entry, built from #bubble-layout-template
+  function build(entry) {
+    const tpl = document.getElementById(LAYOUT);
+    const layout = tpl && tpl.content && tpl.content.firstElementChild;
+    if (!layout) {
+      console.warn(`[CONTENT] Layout template #${LAYOUT} not found`);
+      return null;
+    }
+    const root = layout.cloneNode(true);
+
+    [['.bubble-title', entry.title], ['.bubble-source', entry.source]].forEach(([selector, html]) => {
+      const el = root.querySelector(selector);
+      if (!el) return;
+      if (html) el.innerHTML = html;
+      else el.remove();
+    });
+
+    // One .bubble-sub per paragraph, sentences separated by a space
+    const sub = root.querySelector('.bubble-sub');
+    if (sub) {
+      entry.paragraphs.forEach(paragraph => {
+        const p = sub.cloneNode(false);
+        paragraph.sentences.forEach((html, index) => {
+          if (index) p.appendChild(document.createTextNode(' '));
+          const span = document.createElement('span');
+          span.className = 'sentence';
+          span.innerHTML = html;
+          if (paragraph.page > 1) span.dataset.page = String(paragraph.page);
+          p.appendChild(span);
+        });
+        sub.before(p);
+      });
+      sub.remove();
+    }
+
+    return root;
+  }
+
+  window.Content = {
+    parse,
+    splitSentences,
+    load,
+    whenLoaded,
+    failed,
+    get,
+    set,
+    build,
+    stringify,
+    get missing() {
+      return missing.slice();
+    }
+  };
+})();
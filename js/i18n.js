@@ -0,0 +1,111 @@
+// Locales
+// String tables per language: js/locales/<code>.js registers itself with
+// I18n.register(code, table). Dutch is the source language: the templates in
+// index.html are written in Dutch and another locale lists what it translates.
+// Bubble card text has its own files per language (content/<code>, js/content.js).
+//
+// Table: { name, strings, labels, chapters, templates, dubbed }
+// - strings:   UI text by key, {name} placeholders (I18n.t)
+// - labels:    Bubble labels by bubble id (js/story.js)
+// - chapters:  Chapter titles by chapter id (STORY.chapters)
+// - templates: By template id: { heading, text, cta } for title scenes,
+//              { title, sentences, source } for bubbles that use a template
+//              instead of a content file (I18n.localizeTemplate)
+// - dubbed:    Narration tracks recorded in this language, played from
+//              assets/audio/<code>/; other tracks keep the original voice and
+//              the translated sentences follow its caption cues
+// Static markup: data-i18n="key" sets the text, data-i18n-title and
+// data-i18n-label the title / aria-label attributes (I18n.apply).
+
+(() => {
+  const SOURCE = 'nl';
+  const locales = {};
+  let current = SOURCE;
+
+  function register(code, table) {
+    locales[code] = table;
+  }
+
+  // Falls back to the source language for unknown codes
+  function setLocale(code) {
+    current = locales[code] ? code : SOURCE;
+    document.documentElement.lang = current;
+    return current;
+  }
+
+  // Entry of a table section in the current locale, else the source locale
+  function lookup(section, key) {
+    const own = locales[current] && locales[current][section];
+    if (own && own[key] !== undefined) return own[key];
+    const source = locales[SOURCE] && locales[SOURCE][section];
+    return source ? source[key] : undefined;
+  }
+
+  // UI string with {name} placeholders filled from vars; the key if missing
+  function t(key, vars = {}) {
+    const text = lookup('strings', key);
+    if (text === undefined) {
+      console.warn(`[I18N] Missing string ${key}`);
+      return key;
+    }
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? vars[name] : match));
+  }
+
+  // Translated label or chapter title, or the fallback from js/story.js
+  function translate(section, id, fallback) {
+    const text = lookup(section, id);
+    return text === undefined ? fallback : text;
+  }
+
+  // Replace the text of a cloned template with the current locale's version
+  // Sentences are replaced in order, so translations keep the sentence count
+  // (caption cue N still reveals sentence N)
+  function localizeTemplate(templateId, root) {
+    const own = locales[current] && locales[current].templates;
+    const entry = own && own[templateId];
+    if (!entry || !root) return;
+
+    const fields = { title: '.bubble-title', source: '.bubble-source', heading: 'h1', text: 'p', cta: 'button' };
+    Object.keys(fields).forEach(field => {
+      const el = entry[field] !== undefined && root.querySelector(fields[field]);
+      if (el) el.innerHTML = entry[field];
+    });
+
+    if (entry.sentences) {
+      root.querySelectorAll('.sentence').forEach((sentence, index) => {
+        if (entry.sentences[index] !== undefined) sentence.textContent = entry.sentences[index];
+      });
+    }
+  }
+
+  // Static markup: data-i18n, data-i18n-title, data-i18n-label
+  function apply(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => el.setAttribute('title', t(el.dataset.i18nTitle)));
+    root.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', t(el.dataset.i18nLabel)));
+  }
+
+  // Narration track for the current locale: the dubbed version when listed
+  function voiceTrack(track) {
+    const dubbed = (locales[current] && locales[current].dubbed) || [];
+    return current !== SOURCE && dubbed.includes(track) ? `${current}/${track}` : track;
+  }
+
+  window.I18n = {
+    SOURCE,
+    register,
+    setLocale,
+    t,
+    translate,
+    localizeTemplate,
+    apply,
+    voiceTrack,
+    get locale() {
+      return current;
+    },
+    // [{ code, name }] in registration order
+    get available() {
+      return Object.keys(locales).map(code => ({ code, name: locales[code].name }));
+    }
+  };
+})();
@@ -0,0 +1,106 @@
+// English translation of the interface, bubble labels, chapters and title
+// scenes; bubble card text is in content/en. No dubbed narration yet: bubbles
+// play the Dutch voice and the English sentences follow its caption cues.
+
+window.I18n.register('en', {
+  name: 'English',
+
+  strings: {
+    'landing.subtitle': 'Insights from others. Clarity for you.',
+    'landing.start': 'Start experience',
+    'landing.restart': 'Start over',
+    'landing.resume': 'Continue where you left off',
+    'landing.language': 'Language',
+    'landing.loadingLabel': 'Loading',
+    'landing.loading': 'Loading… {percent}%',
+    'landing.missing': 'Not found ({count}): {names}',
+    'landing.updatingCache': 'Updating offline cache…',
+
+    'controls.fullscreen': 'Full screen',
+    'controls.sound': 'Sound settings',
+    'controls.pause': 'Pause',
+    'controls.chapters': 'Chapters',
+
+    'settings.master': 'Master',
+    'settings.voice': 'Voices',
+    'settings.ambience': 'Ambience',
+    'settings.sfx': 'Effects',
+    'settings.reducedMotion': 'Reduce motion',
+    'settings.readingSpeed': 'Reading speed',
+    'settings.readingSlow': 'Slow',
+    'settings.readingNormal': 'Normal',
+    'settings.readingFast': 'Fast',
+
+    'pause.title': 'Paused',
+    'pause.resume': 'Continue',
+
+    'chapters.visited': '{title} (visited)',
+
+    'bubble.next': 'Next',
+    'bubble.back': 'Back',
+    'bubble.page': 'Page {page} of {total}',
+    'bubble.pop': 'Pop!',
+    'bubble.close': 'Close',
+    'bubble.dodged': 'The bubble dodges you. Try again.',
+    'bubble.unavailable': 'Text unavailable',
+    'bubble.unavailableText': 'The text of this bubble could not be loaded. Refresh the page to try again.',
+
+    'editor.title': 'Editor',
+    'editor.hint': 'Drag a bubble to move it; open it to edit the title, sentences and source.',
+    'editor.none': 'Pick a bubble',
+    'editor.selected': '{id} · top {top} · left {left}',
+    'editor.orbit': 'Orbit',
+    'editor.orbitDefault': 'None',
+    'editor.voice': 'Audio',
+    'editor.noVoice': 'No audio',
+    'editor.export': 'Export JSON',
+
+    'transport.label': 'Narration controls',
+    'transport.play': 'Play',
+    'transport.pause': 'Pause',
+    'transport.rewind': 'Back {seconds} seconds',
+    'transport.progress': 'Progress'
+  },
+
+  labels: {
+    intro: 'Where am I?',
+    alpha: 'According to Copilot',
+    beta: 'The vision of:<br>ChatGPT',
+    gamma: 'What is AI?',
+    tobias: 'Tobias\'s vision'
+  },
+
+  chapters: {
+    intro: 'Intro',
+    tools: 'AI tools',
+    interviews: 'The interviews',
+    vision: 'Tobias\'s vision',
+    finale: 'Finale'
+  },
+
+  dubbed: [],
+
+  templates: {
+    // Title scenes
+    'scene-3-template': {
+      heading: 'AI at CMD Amsterdam',
+      text: 'Listen to the insights of the CMD experts and discover how AI opens up possibilities for our studies.',
+      cta: 'Continue'
+    },
+    'scene-5-template': {
+      heading: 'AI in the field',
+      text: 'Listen to the insights that employees of Nextens share about AI in their daily work.',
+      cta: 'Continue'
+    },
+    'scene-7-template': {
+      heading: 'The maker\'s vision',
+      text: 'This foggy forest comes to a clear end with the vision of its maker. Here Tobias van der Waals tells how he looks at AI.',
+      cta: 'Continue'
+    },
+    'scene-9-template': {
+      heading: 'Out of the woods!',
+      text: 'I hope this journey through the foggy forest of FogResolve(AI) has enriched your view of AI. Thank you for your attention.',
+      cta: 'Start again'
+    }
+  }
+});
@@ -0,0 +1,63 @@
+// Dutch: the source language (index.html templates and js/story.js are Dutch)
+// Only UI strings live here; see js/i18n.js for the table format.
+
+window.I18n.register('nl', {
+  name: 'Nederlands',
+
+  strings: {
+    'landing.subtitle': 'Inzichten van anderen. Helderheid voor jou.',
+    'landing.start': 'Start ervaring',
+    'landing.restart': 'Start opnieuw',
+    'landing.resume': 'Verder waar je was',
+    'landing.language': 'Taal',
+    'landing.loadingLabel': 'Laden',
+    'landing.loading': 'Laden… {percent}%',
+    'landing.missing': 'Niet gevonden ({count}): {names}',
+    'landing.updatingCache': 'Offline cache bijwerken…',
+
+    'controls.fullscreen': 'Volledig scherm',
+    'controls.sound': 'Geluidsinstellingen',
+    'controls.pause': 'Pauzeren',
+    'controls.chapters': 'Hoofdstukken',
+
+    'settings.master': 'Totaal',
+    'settings.voice': 'Stemmen',
+    'settings.ambience': 'Omgeving',
+    'settings.sfx': 'Effecten',
+    'settings.reducedMotion': 'Minder beweging',
+    'settings.readingSpeed': 'Leestempo',
+    'settings.readingSlow': 'Langzaam',
+    'settings.readingNormal': 'Normaal',
+    'settings.readingFast': 'Snel',
+
+    'pause.title': 'Gepauzeerd',
+    'pause.resume': 'Verder',
+
+    'chapters.visited': '{title} (bezocht)',
+
+    'bubble.next': 'Volgende',
+    'bubble.back': 'Terug',
+    'bubble.page': 'Pagina {page} van {total}',
+    'bubble.pop': 'Pop!',
+    'bubble.close': 'Sluiten',
+    'bubble.dodged': 'De bubbel ontwijkt je. Probeer het nog eens.',
+    'bubble.unavailable': 'Tekst niet beschikbaar',
+    'bubble.unavailableText': 'De tekst van deze bubbel kon niet worden geladen. Ververs de pagina om het opnieuw te proberen.',
+
+    'editor.title': 'Editor',
+    'editor.hint': 'Sleep een bubbel om hem te verplaatsen; open hem om titel, zinnen en bron te bewerken.',
+    'editor.none': 'Kies een bubbel',
+    'editor.selected': '{id} · boven {top} · links {left}',
+    'editor.orbit': 'Baan',
+    'editor.orbitDefault': 'Geen',
+    'editor.voice': 'Audio',
+    'editor.noVoice': 'Geen audio',
+    'editor.export': 'Exporteer JSON',
+
+    'transport.label': 'Bediening gesproken tekst',
+    'transport.play': 'Afspelen',
+    'transport.pause': 'Pauzeer',
+    'transport.rewind': '{seconds} seconden terug',
+    'transport.progress': 'Voortgang'
+  }
+});
@@ -14,16 +14,42 @@
  * 1. AudioManager: Handles ambient audio layers, transition sounds, and pop effects
  * 2. Bubble System: Dynamic size/content based on sentence count, with pagination
  * 3. Scene Transitions: Configurable transitions via TRANSITIONS object
- * 4. Keyboard Shortcuts: Development shortcuts for quick scene navigation (1-5 keys)
+ * 4. Scene Runner: Plays the declarative story in js/story.js via openScene(id)
+ * 5. Keyboard Shortcuts: Development shortcuts for quick scene navigation (1-9 keys)
+ * 6. Scene Reset: Back to Scene 1 without a page reload (restart button, key 1)
+ * 7. Attract Mode: Idle timeout returns to the landing screen
+ * 8. Timeline: Scene-scoped timers (sceneTimeline), paused or cancelled as a unit
+ * 9. Global Pause: Pause button / Space / Escape freezes audio, animations and timers
+ * 10. Progress: Current scene + popped bubbles saved, resumed from the landing screen
+ * 11. Chapter Menu: Jump to a story segment (STORY.chapters), visited ones marked
+ * 12. Reduced Motion: prefers-reduced-motion or settings toggle; fades replace movement
+ * 13. Language: Dutch source text, translations in js/locales (switch on the landing screen)
+ * 14. Editor: index.html?edit to drag bubbles, pick orbits, attach audio and edit
+ *     card text in place; exports the story and edited content as story.json
+ * 15. Reading Speed: slow/normal/fast pace for the sentence reveal (settings panel)
  * 
  * REUSABLE PATTERNS:
  * ------------------
  * 
  * [Bubble Component]
+ * - Card content built from content/<locale>/<card>.md (js/content.js):
+ *   sentences split automatically, portrait slides in beside the card
  * - Auto-sizes based on sentence count (exponential growth, max 5 sentences = 710px)
- * - Pagination: 5 sentences per page, "Volgende" → "Pop!" flow
+ * - Pagination: --- in the content file starts a page; otherwise a page holds
+ *   what fits the circle (PAGINATION, measured on expansion). Back button,
+ *   page dots and "1 / 2" beside the "Volgende" → "Pop!" CTA; arrow keys page
+ *   too, and narration follows the page either way (its track, or its text
+ *   within the current track via the caption cues)
+ * - Narration transport (play/pause, 10s rewind, progress) for voiced bubbles
+ * - Exploration mode (?explore / STORY.exploration): a close button folds the
+ *   bubble back into its orbit to re-read later; only "Pop!" marks it done
  * - Three-phase expansion: size → background → content fade-in
- * - Staggered sentence animation with adaptive timing
+ * - Keyboard and screen readers: bubbles are tabbable buttons (Enter/Space),
+ *   an expanded bubble is a dialog that keeps Tab inside (trapFocus), and
+ *   revealed sentences are read out through #bubble-announcer (announce)
+ * - Staggered sentence animation timed by each sentence's word count and the
+ *   reading speed, or synced to the narration via WebVTT cues in
+ *   assets/captions (js/captions.js); clicking the card shows the whole page
  * 
  * [Scene Transition Component - TRANSITIONS object]
  * - Configure transitions with duration, audio fade timings
@@ -32,20 +58,232 @@
  * - Used between scenes 2-3, extendable to 3-4, 4-5, etc.
  * 
  * [Audio System]
- * - Three-layer ambient audio (frogs, night, insects) with scene-specific volumes
- * - Continuous playback across scenes (adjust volumes, don't restart)
+ * - Ambience profiles per scene (STORY.ambience in js/story.js): layer set + volumes
+ * - Continuous playback across scenes (shared layers glide, others crossfade)
+ * - Fades go through audioManager.fades (FadeEngine): one cancellable fade per
+ *   layer towards its scene volume, with easing; fade methods return promises
  * - Transition audio (Steps.wav) with fade-to-level during scene changes
  * - Pop sound effects for bubble interactions
+ * - Narration channel (audioManager.narration): one voice track at a time,
+ *   declared per marked bubble section (---) in the content file
+ * - Mixer (audioManager.mixer): every sound runs through an ambience, voice or
+ *   sfx bus into a master gain; levels are set in the sound settings panel
+ * - Ambience ducks under narration (audioManager.ducking: level, fade times)
  * 
  * ADDING NEW CONTENT:
  * -------------------
- * - Bubbles: Add template in HTML, wrap sentences in <span class="sentence">
- * - Scenes: Add transition config to TRANSITIONS object, create template in HTML
- * - Audio: Configure volumes in earlySceneAudio/lateSceneAudio constants
+ * - Bubbles: Write content/nl/<card>.md (title, source, voice, portrait, text;
+ *   see content/README.md), list it in js/manifest.js, then add the bubble
+ *   (card, label, position, orbit) to js/story.js
+ * - Scenes: Add an entry to js/story.js; title scenes also need a template in
+ *   HTML and, if they animate the forest, a config in the TRANSITIONS object
+ *   (schedule its steps on sceneTimeline so chapter jumps can fast-forward it);
+ *   list the scene in a chapter (STORY.chapters) to reach it from the menu
+ * - Audio: Ambience profiles (layers, volumes, crossfade) live in js/story.js
+ * - Captions: Add assets/captions/<track>.vtt with one cue per sentence
+ * - Translations: Add content/<code>/<card>.md (same sentence count) and any
+ *   new UI string or title scene to js/locales/<code>.js; UI text in main.js
+ *   goes through I18n.t
+ * - Delays in scene code: use sceneTimeline.setTimeout / requestAnimationFrame
+ *   instead of the window versions, so leaving the scene (next scene, number
+ *   keys, restart, attract mode) cancels them
+ * - Assets: List every new file in js/manifest.js (preloaded on the landing screen,
+ *   cached offline by sw.js; bump its CACHE_VERSION when files change)
  * 
  * ==============================================================================
  */
 
+// ==============================================================================
+// COMPONENT: Preferences
+// ==============================================================================
+// Visitor settings that survive a reload (localStorage, JSON values)
+// Storage errors (private mode, quota) fall back to the default silently
+const preferences = {
+  prefix: 'fogresolve:',
+
+  get(key, fallback = null) {
+    try {
+      const raw = localStorage.getItem(this.prefix + key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+      return fallback;
+    }
+  },
+
+  set(key, value) {
+    try {
+      localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    } catch (e) {
+      console.log(`[PREFS] Could not save ${key}:`, e);
+    }
+  },
+
+  remove(key) {
+    try {
+      localStorage.removeItem(this.prefix + key);
+    } catch (e) {}
+  }
+};
+
+// ==============================================================================
+// COMPONENT: Progress
+// ==============================================================================
+// Where the visitor is in the story: the current scene, the bubbles already
+// popped there and every scene visited so far, saved through preferences so
+// closing the tab loses nothing. The landing screen offers "Verder waar je was"
+// when there is a run to resume; the chapter menu marks visited chapters.
+const progress = {
+  key: 'progress',
+
+  // { scene, popped: [bubble ids], visited: [scene ids] } or null
+  get saved() {
+    return preferences.get(this.key, null);
+  },
+
+  get visited() {
+    const saved = this.saved;
+    return (saved && saved.visited) || [];
+  },
+
+  // Record entering a scene; `popped` lists bubbles already popped there
+  // (a resumed run), otherwise the scene starts with none
+  enterScene(sceneId, popped = []) {
+    const visited = this.visited;
+    if (!visited.includes(sceneId)) visited.push(sceneId);
+    preferences.set(this.key, { scene: sceneId, popped, visited });
+  },
+
+  pop(sceneId, bubbleId) {
+    const saved = this.saved;
+    const popped = saved && saved.scene === sceneId ? saved.popped : [];
+    if (!popped.includes(bubbleId)) popped.push(bubbleId);
+    preferences.set(this.key, { scene: sceneId, popped, visited: this.visited });
+  },
+
+  // Saved run worth resuming: past the opening scene and not at the end
+  resumable() {
+    const saved = this.saved;
+    const config = saved && getSceneConfig(saved.scene);
+    if (!config || config.next === 'restart') return null;
+    const start = window.STORY ? window.STORY.start : 1;
+    return saved.scene !== start || saved.popped.length ? saved : null;
+  },
+
+  clear() {
+    preferences.remove(this.key);
+  }
+};
+
+// ==============================================================================
+// COMPONENT: Reduced Motion
+// ==============================================================================
+// Calmer experience for visitors who prefer less movement: follows
+// prefers-reduced-motion until "Minder beweging" is set in the settings panel.
+// body.reduced-motion stops orbits, fog drift, tree sway and the crow
+// (css/style.css), scene transitions fade through instead of moving the forest
+// (runSceneTransition) and the blossom rain thins out (js/blossomRain.js).
+// Timers keep firing in the same order, so the scene flow is unchanged.
+const REDUCED_MOTION = {
+  transitionDuration: 1600 // ms, cap on a scene transition (fade through)
+};
+
+const reducedMotion = {
+  key: 'reducedMotion',
+  query: window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null,
+
+  // Visitor's choice (saved), otherwise the system setting
+  get enabled() {
+    const chosen = preferences.get(this.key, null);
+    return chosen === null ? Boolean(this.query && this.query.matches) : chosen;
+  },
+
+  set(enabled) {
+    preferences.set(this.key, Boolean(enabled));
+    this.apply();
+  },
+
+  apply() {
+    const enabled = this.enabled;
+    document.body.classList.toggle('reduced-motion', enabled);
+    if (window.BlossomRain && window.BlossomRain.setReducedMotion) {
+      window.BlossomRain.setReducedMotion(enabled);
+    }
+  }
+};
+
+reducedMotion.apply();
+if (reducedMotion.query && reducedMotion.query.addEventListener) {
+  reducedMotion.query.addEventListener('change', () => reducedMotion.apply());
+}
+
+// ==============================================================================
+// COMPONENT: Reading Speed
+// ==============================================================================
+// Pace of the timer-based sentence reveal in expanded bubbles: the next
+// sentence waits for this one's words at the visitor's reading speed, chosen
+// in the settings panel and saved. Narrated bubbles follow the caption cues.
+const READING_SPEED = {
+  wordsPerMinute: { slow: 160, normal: 220, fast: 300 },
+  pause: 800, // ms after every sentence, however short
+  minDelay: 1500, // ms, bounds on the wait for the next sentence
+  maxDelay: 12000
+};
+
+const readingSpeed = {
+  key: 'readingSpeed',
+
+  // 'slow', 'normal' or 'fast'
+  get level() {
+    const chosen = preferences.get(this.key, 'normal');
+    return READING_SPEED.wordsPerMinute[chosen] ? chosen : 'normal';
+  },
+
+  set(level) {
+    if (!READING_SPEED.wordsPerMinute[level]) return;
+    preferences.set(this.key, level);
+    console.log(`[READING] Speed ${level}`);
+  },
+
+  // ms before the sentence after one of `words` words appears
+  delay(words) {
+    const perWord = 60000 / READING_SPEED.wordsPerMinute[this.level];
+    const delay = READING_SPEED.pause + words * perWord;
+    return Math.round(Math.min(Math.max(delay, READING_SPEED.minDelay), READING_SPEED.maxDelay));
+  }
+};
+
+// ==============================================================================
+// COMPONENT: Language
+// ==============================================================================
+// Interface and content language (js/i18n.js, tables in js/locales). The
+// visitor picks it on the landing screen; the choice is saved, and
+// index.html?lang=en overrides it for one visit. Bubble cards and title scenes
+// are translated when they are built, so a switch on the landing screen
+// applies to everything that follows. The locale's card text
+// (content/<code>, js/content.js) loads in the background; `ready` settles
+// once it is there, `settled()` once the locale picked last has it.
+const language = {
+  key: 'locale',
+  ready: Promise.resolve(),
+
+  // Waits on `ready` again when a switch replaced it in the meantime
+  settled() {
+    const ready = this.ready;
+    return ready.then(() => (ready === this.ready ? undefined : this.settled()));
+  },
+
+  // Apply a locale to the static markup; `save` keeps it for the next visit
+  use(code, save = false) {
+    const locale = I18n.setLocale(code);
+    if (save) preferences.set(this.key, locale);
+    I18n.apply(document);
+    if (window.Content) this.ready = window.Content.load(locale);
+    return locale;
+  }
+};
+
+language.use(new URLSearchParams(location.search).get('lang') || preferences.get(language.key, I18n.SOURCE));
+
 // ==============================================================================
 // COMPONENT: Audio Manager
 // ==============================================================================
@@ -54,28 +292,22 @@ class AudioManager {
   constructor() {
     this.ambientAudio = null;
     this.ambientLayers = new Map(); // id => Audio element for layered ambiance
+    this.layerVolumes = new Map(); // Audio element => volume its layer should sit at
+    this.layerParams = new Map(); // Audio element => fade target (see layerParam)
     this.currentScene = 1;
     this.audioEnabled = true;
     this.audioInitialized = false;
     this.pendingSceneAudio = null;
     this.transitionAudio = null; // Track long transition audio
-    this.introAudio = null; // Track intro audio for first bubble
-    this.copilotAudio = null; // Track Copilot audio for alpha bubble
-    this.chat1Audio = null; // Track Chat1 audio for beta bubble page 1
-    this.chat2Audio = null; // Track Chat2 audio for beta bubble page 2
-    this.watIsAIAudio = null; // Track WatisAI audio for gamma bubble
-    this.geneveAudio = null; // Track Geneve audio for delta bubble
-    this.paulBlokAudio = null; // Track Paul Blok audio for epsilon bubble
-    this.michielAudio = null; // Track Michiel audio for zeta bubble
-    this.joeyAudio = null; // Track Joey audio for eta bubble
-    this.kathleenAudio = null; // Track Kathleen audio for theta bubble
-    this.mariekeAudio = null; // Track Marieke audio for iota bubble
-    this.rronNushiAudio = null; // Track Rron Nushi audio for kappa bubble
-    this.rawazAudio = null; // Track Rawaz audio for lambda bubble
-    this.tobias1Audio = null; // Track Tobias1 audio for tobias bubble page 1
-    this.tobias2Audio = null; // Track Tobias2 audio for tobias bubble page 2
+    this.mixer = new AudioMixer(); // Bus gains: ambience, voice, sfx → master
+    this.fades = new FadeEngine(() => this.mixer.context); // All volume fades
+    this.narration = new NarrationChannel(this); // Bubble voice-over (one track at a time)
+    this.ducking = { level: 0.35, fadeDown: 400, fadeUp: 1200 }; // Ambience under narration
+    this.ambientDucked = false;
     this.crowSoundTimeout = null; // Track scheduled crow sound
-    this.birdLayers = new Map(); // Scene 9 bird ambient
+    this.leavingLayers = new Map(); // id => Audio element fading out after a profile switch
+    this.audioUnlocked = false; // First user gesture seen (layers may play unmuted)
+    this.pausedChannels = null; // What pauseAll stopped, for resumeAll
   }
 
   // Initialize audio manager
@@ -88,7 +320,36 @@ class AudioManager {
     document.addEventListener('click', () => this.unmuteAudio(), { once: true });
   }
 
+  // New Audio element for assets/audio/<file>, routed through a mixer bus
+  // (uses the preloaded copy from js/assets.js when there is one)
+  createAudio(file, bus) {
+    const path = `assets/audio/${file}`;
+    const audio = new Audio(window.Assets ? window.Assets.url(path) : path);
+    this.mixer.connect(audio, bus);
+
+    // One-shot effects let go of their nodes once done (or failed)
+    if (bus === 'sfx') {
+      const done = () => this.releaseAudio(audio);
+      audio.addEventListener('ended', done, { once: true });
+      audio.addEventListener('error', done, { once: true });
+    }
+    return audio;
+  }
+
+  // Stop an element for good and take it out of the mixer graph, so the
+  // kiosk doesn't collect dead nodes and elements over a long day
+  releaseAudio(audio) {
+    audio.pause();
+    this.mixer.disconnect(audio);
+    this.layerVolumes.delete(audio);
+    this.layerParams.delete(audio);
+  }
+
   unmuteAudio() {
+    // Audio context starts suspended until the first user gesture
+    this.mixer.resume();
+    this.audioUnlocked = true;
+
     // Unmute all ambient layers and ensure they're playing
     this.ambientLayers.forEach((audio, id) => {
       audio.muted = false;
@@ -98,8 +359,10 @@ class AudioManager {
     });
   }
 
-  // Play layered ambient background sounds (multiple soundscapes simultaneously)
-  playAmbient(sceneNum) {
+  // Play the ambience profile of a scene (STORY.ambience in js/story.js)
+  // Layers shared with the current profile keep playing and glide to their new
+  // volume; layers the profile adds fade in, layers it drops fade out and stop
+  playAmbient(sceneNum, crossfade) {
     // If audio not yet initialized by user interaction, queue it for Scene 1
     if (!this.audioInitialized && sceneNum === 1) {
       this.pendingSceneAudio = sceneNum;
@@ -108,70 +371,80 @@ class AudioManager {
 
     if (!this.audioEnabled) return;
 
-    // Define layered ambiance per scene: { id, file, volume }
-    // Scenes 1-2: frogs(1) night(1) insects(2), Scenes 3-5: frogs(1) night(2) insects(1)
-    const earlySceneAudio = [
-      { id: 'frogs', file: 'frogs.mp3', volume: 0.25 },
-      { id: 'night', file: 'night.mp3', volume: 0.25 },
-      { id: 'insects', file: 'insects.mp3', volume: 0.5 }
-    ];
-    const lateSceneAudio = [
-      { id: 'frogs', file: 'frogs.mp3', volume: 0.25 },
-      { id: 'night', file: 'night.mp3', volume: 0.5 },
-      { id: 'insects', file: 'insects.mp3', volume: 0.25 }
-    ];
-    const sceneConfig = {
-      1: earlySceneAudio,
-      2: earlySceneAudio,
-      3: lateSceneAudio,
-      4: lateSceneAudio,
-      5: lateSceneAudio
-    };
-
-    const config = sceneConfig[sceneNum];
-    if (!config) {
+    const scene = getSceneConfig(sceneNum);
+    const profiles = (window.STORY && window.STORY.ambience) || {};
+    const profile = scene && profiles[scene.ambience];
+    if (!profile) {
       console.log(`No ambient audio configured for Scene ${sceneNum}`);
       return;
     }
 
-    // If layers already exist, just adjust volumes (continuous audio)
-    if (this.ambientLayers.size > 0) {
-      config.forEach((layer) => {
-        const audio = this.ambientLayers.get(layer.id);
-        if (audio) {
-          audio.volume = layer.volume;
-        }
+    // First time: Start each layer simultaneously at its volume
+    if (this.ambientLayers.size === 0 && this.leavingLayers.size === 0) {
+      profile.layers.forEach((layer) => {
+        this.startLayer(layer, layer.volume);
       });
       return;
     }
 
-    // First time: Start each layer simultaneously
-    config.forEach((layer) => {
-      const audioPath = `assets/audio/${layer.file}`;
-      const audio = new Audio(audioPath);
-      audio.loop = true;
-      audio.volume = layer.volume;
-      // Start muted (for autoplay compliance), will unmute on first click
-      audio.muted = true;
-      audio.play()
-        .then(() => console.log(`Ambient layer ${layer.id} started (muted)`))
-        .catch(e => console.log(`Ambient layer ${layer.id} play failed:`, e));
-      this.ambientLayers.set(layer.id, audio);
+    const duration = crossfade ?? profile.crossfade ?? 300;
+    const wanted = new Set(profile.layers.map(layer => layer.id));
+
+    // Layers this profile drops: fade out, then stop
+    this.ambientLayers.forEach((audio, id) => {
+      if (wanted.has(id)) return;
+      this.ambientLayers.delete(id);
+      this.leavingLayers.set(id, audio);
+      this.fades.fade(this.layerParam(audio), 0, { duration, easing: 'crossfadeOut' }).then(completed => {
+        if (!completed) return; // Revived by a later profile
+        this.releaseAudio(audio);
+        this.leavingLayers.delete(id);
+      });
+    });
+
+    profile.layers.forEach((layer) => {
+      // Revive a layer that is still fading out instead of starting a second copy
+      let audio = this.ambientLayers.get(layer.id) || this.leavingLayers.get(layer.id);
+      const isNew = !audio;
+      if (isNew) {
+        audio = this.startLayer(layer, 0);
+      } else {
+        this.leavingLayers.delete(layer.id);
+        this.ambientLayers.set(layer.id, audio);
+      }
+
+      this.layerVolumes.set(audio, layer.volume);
+      this.fades.fade(this.layerParam(audio), layer.volume, {
+        duration,
+        easing: isNew ? 'crossfadeIn' : 'linear'
+      });
     });
   }
 
+  // Create a looping ambient layer at `volume` and start it
+  startLayer(layer, volume) {
+    const audio = this.createAudio(layer.file, 'ambience');
+    audio.loop = true;
+    this.layerVolumes.set(audio, layer.volume);
+    this.fades.set(this.layerParam(audio), volume);
+    // Start muted until the first click (autoplay compliance), see unmuteAudio
+    audio.muted = !this.audioUnlocked;
+    const label = audio.muted ? ' (muted)' : '';
+    audio.play()
+      .then(() => console.log(`Ambient layer ${layer.id} started${label}`))
+      .catch(e => console.log(`Ambient layer ${layer.id} play failed:`, e));
+    this.ambientLayers.set(layer.id, audio);
+    return audio;
+  }
+
   // Play transition/swoosh effect
   playTransition(audioFile = 'Swoosh.wav', loop = false, volume = 0.7) {
     if (!this.audioEnabled) return;
     
     // Stop any existing transition audio
-    if (this.transitionAudio) {
-      this.transitionAudio.pause();
-      this.transitionAudio.currentTime = 0;
-      this.transitionAudio = null;
-    }
+    this.stopTransition();
     
-    const audio = new Audio(`assets/audio/${audioFile}`);
+    const audio = this.createAudio(audioFile, 'sfx');
     audio.volume = volume;
     audio.loop = loop;
     audio.play().catch(e => console.log('Transition audio play failed:', e));
@@ -184,8 +457,7 @@ class AudioManager {
   // Stop any playing transition audio
   stopTransition() {
     if (this.transitionAudio) {
-      this.transitionAudio.pause();
-      this.transitionAudio.currentTime = 0;
+      this.releaseAudio(this.transitionAudio);
       this.transitionAudio = null;
     }
   }
@@ -195,854 +467,1207 @@ class AudioManager {
     if (!this.audioEnabled) return;
     
     // Try .wav first, fallback to .mp3 if it fails
-    const audio = new Audio('assets/audio/BubblePopRev.wav');
+    const audio = this.createAudio('BubblePopRev.wav', 'sfx');
     audio.volume = 0.6;
     audio.play().catch(e => {
       // Try .mp3 format as fallback
-      const audioMp3 = new Audio('assets/audio/Bubble-pop.mp3');
+      const audioMp3 = this.createAudio('Bubble-pop.mp3', 'sfx');
       audioMp3.volume = 0.6;
       audioMp3.play().catch(err => console.log('Pop audio play failed:', err));
     });
   }
 
-  // Play intro audio for first bubble
-  playIntroAudio() {
+  // Play crow sound effect (scene 1 only, no loop)
+  playCrowSound() {
     if (!this.audioEnabled) return;
     
-    // Stop any existing intro audio first
-    if (this.introAudio) {
-      this.introAudio.pause();
-      this.introAudio.currentTime = 0;
-    }
+    const audio = this.createAudio('crow-sfx-318131.mp3', 'sfx');
+    audio.volume = 0.5;
+    audio.loop = false;
+    audio.play().catch(e => console.log('Crow sound play failed:', e));
+    console.log('[AUDIO] Playing crow sound');
     
-    this.introAudio = new Audio('assets/audio/Intro.mp3');
-    this.introAudio.volume = 0.5;
-    this.introAudio.loop = false;
-    this.introAudio.play().catch(e => console.log('Intro audio play failed:', e));
-    console.log('[AUDIO] Started playing Intro.mp3');
-  }
-
-  // Stop intro audio
-  stopIntroAudio() {
-    if (this.introAudio) {
-      this.introAudio.pause();
-      this.introAudio.currentTime = 0;
-      this.introAudio = null;
-      console.log('[AUDIO] Stopped Intro.mp3');
+    // Trigger crow flight animation
+    const crowContainer = document.getElementById('crow-container');
+    if (crowContainer) {
+      crowContainer.classList.add('flying');
+      // Remove class after animation completes to allow re-triggering
+      setTimeout(() => {
+        crowContainer.classList.remove('flying');
+      }, 2500);
     }
   }
 
-  // Play Copilot audio for alpha bubble
-  playCopilotAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Copilot audio first
-    if (this.copilotAudio) {
-      this.copilotAudio.pause();
-      this.copilotAudio.currentTime = 0;
-    }
-    
-    this.copilotAudio = new Audio('assets/audio/Copilot.mp3');
-    this.copilotAudio.volume = 0.5;
-    this.copilotAudio.loop = false;
-    this.copilotAudio.play().catch(e => console.log('Copilot audio play failed:', e));
-    console.log('[AUDIO] Started playing Copilot.mp3');
-  }
-
-  // Stop Copilot audio
-  stopCopilotAudio() {
-    if (this.copilotAudio) {
-      this.copilotAudio.pause();
-      this.copilotAudio.currentTime = 0;
-      this.copilotAudio = null;
-      console.log('[AUDIO] Stopped Copilot.mp3');
-    }
+  // Play the crow sound after `delay` ms (see cancelCrowSound)
+  scheduleCrowSound(delay = 1000) {
+    this.cancelCrowSound();
+    this.crowSoundTimeout = setTimeout(() => {
+      this.crowSoundTimeout = null;
+      this.playCrowSound();
+    }, delay);
   }
 
-  // Play Chat1 audio for beta bubble (page 1)
-  playChat1Audio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Chat1 audio first
-    if (this.chat1Audio) {
-      this.chat1Audio.pause();
-      this.chat1Audio.currentTime = 0;
-    }
-    
-    this.chat1Audio = new Audio('assets/audio/Chat1.mp3');
-    this.chat1Audio.volume = 0.5;
-    this.chat1Audio.loop = false;
-    this.chat1Audio.play().catch(e => console.log('Chat1 audio play failed:', e));
-    console.log('[AUDIO] Started playing Chat1.mp3');
-  }
-
-  // Stop Chat1 audio
-  stopChat1Audio() {
-    if (this.chat1Audio) {
-      this.chat1Audio.pause();
-      this.chat1Audio.currentTime = 0;
-      this.chat1Audio = null;
-      console.log('[AUDIO] Stopped Chat1.mp3');
+  // Cancel scheduled crow sound
+  cancelCrowSound() {
+    if (this.crowSoundTimeout) {
+      clearTimeout(this.crowSoundTimeout);
+      this.crowSoundTimeout = null;
+      console.log('[AUDIO] Crow sound cancelled');
     }
   }
 
-  // Play Chat2 audio for beta bubble (page 2)
-  playChat2Audio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Chat2 audio first
-    if (this.chat2Audio) {
-      this.chat2Audio.pause();
-      this.chat2Audio.currentTime = 0;
-    }
-    
-    this.chat2Audio = new Audio('assets/audio/Chat2.mp3');
-    this.chat2Audio.volume = 0.5;
-    this.chat2Audio.loop = false;
-    this.chat2Audio.play().catch(e => console.log('Chat2 audio play failed:', e));
-    console.log('[AUDIO] Started playing Chat2.mp3');
-  }
-
-  // Stop Chat2 audio
-  stopChat2Audio() {
-    if (this.chat2Audio) {
-      this.chat2Audio.pause();
-      this.chat2Audio.currentTime = 0;
-      this.chat2Audio = null;
-      console.log('[AUDIO] Stopped Chat2.mp3');
+  // What fades act on for a layer: its mixer gain (AudioParam) when routed,
+  // otherwise the element's volume property
+  layerParam(audio) {
+    if (!this.layerParams.has(audio)) {
+      const gain = this.mixer.gainFor(audio);
+      this.layerParams.set(audio, gain ? gain.gain : {
+        get: () => audio.volume,
+        set: (value) => { audio.volume = value; }
+      });
     }
+    return this.layerParams.get(audio);
   }
 
-  // Play WatisAI audio for gamma bubble
-  playWatIsAIAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing WatisAI audio first
-    if (this.watIsAIAudio) {
-      this.watIsAIAudio.pause();
-      this.watIsAIAudio.currentTime = 0;
-    }
-    
-    this.watIsAIAudio = new Audio('assets/audio/WatisAI.mp3');
-    this.watIsAIAudio.volume = 0.5;
-    this.watIsAIAudio.loop = false;
-    this.watIsAIAudio.play().catch(e => console.log('WatisAI audio play failed:', e));
-    console.log('[AUDIO] Started playing WatisAI.mp3');
-  }
-
-  // Stop WatisAI audio
-  stopWatIsAIAudio() {
-    if (this.watIsAIAudio) {
-      this.watIsAIAudio.pause();
-      this.watIsAIAudio.currentTime = 0;
-      this.watIsAIAudio = null;
-      console.log('[AUDIO] Stopped WatisAI.mp3');
-    }
+  // Fade every layer to `factor` × its own target volume
+  // Resolves true when all layers got there, false when another fade took over
+  fadeLayers(layers, factor, options) {
+    const fades = Array.from(layers.values(), audio => (
+      this.fades.fade(this.layerParam(audio), (this.layerVolumes.get(audio) || 0) * factor, options)
+    ));
+    return Promise.all(fades).then(results => results.every(Boolean));
   }
 
-  // Play Geneve audio for delta bubble
-  playGeneveAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Geneve audio first
-    if (this.geneveAudio) {
-      this.geneveAudio.pause();
-      this.geneveAudio.currentTime = 0;
-    }
-    
-    this.geneveAudio = new Audio('assets/audio/Geneve Angelista.mp3');
-    this.geneveAudio.volume = 0.5;
-    this.geneveAudio.loop = false;
-    this.geneveAudio.play().catch(e => console.log('Geneve audio play failed:', e));
-    console.log('[AUDIO] Started playing Geneve Angelista.mp3');
-  }
-
-  // Stop Geneve audio
-  stopGeneveAudio() {
-    if (this.geneveAudio) {
-      this.geneveAudio.pause();
-      this.geneveAudio.currentTime = 0;
-      this.geneveAudio = null;
-      console.log('[AUDIO] Stopped Geneve Angelista.mp3');
-    }
+  // Fade ambient to a fraction (0-1) of the scene volumes without stopping
+  fadeAmbientToLevel(targetLevel, duration = 500, easing = 'linear') {
+    return this.fadeLayers(this.ambientLayers, targetLevel, { duration, easing });
   }
 
-  // Play Paul Blok audio for epsilon bubble
-  playPaulBlokAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Paul Blok audio first
-    if (this.paulBlokAudio) {
-      this.paulBlokAudio.pause();
-      this.paulBlokAudio.currentTime = 0;
-    }
-    
-    this.paulBlokAudio = new Audio('assets/audio/Paul Blok.mp3');
-    this.paulBlokAudio.volume = 0.5;
-    this.paulBlokAudio.loop = false;
-    this.paulBlokAudio.play().catch(e => console.log('Paul Blok audio play failed:', e));
-    console.log('[AUDIO] Started playing Paul Blok.mp3');
-  }
-
-  // Stop Paul Blok audio
-  stopPaulBlokAudio() {
-    if (this.paulBlokAudio) {
-      this.paulBlokAudio.pause();
-      this.paulBlokAudio.currentTime = 0;
-      this.paulBlokAudio = null;
-      console.log('[AUDIO] Stopped Paul Blok.mp3');
-    }
+  // Fade out all ambient layers, then pause them (unless a newer fade took over)
+  fadeOutAmbient(duration = 500, easing = 'linear') {
+    return this.fadeLayers(this.ambientLayers, 0, { duration, easing }).then(completed => {
+      if (!completed) return false;
+      this.ambientLayers.forEach((audio) => {
+        audio.pause();
+        audio.currentTime = 0;
+      });
+      return true;
+    });
   }
 
-  // Play Michiel audio for zeta bubble
-  playMichielAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Michiel audio first
-    if (this.michielAudio) {
-      this.michielAudio.pause();
-      this.michielAudio.currentTime = 0;
-    }
-    
-    this.michielAudio = new Audio('assets/audio/Michiel Bernsen.mp3');
-    this.michielAudio.volume = 0.5;
-    this.michielAudio.loop = false;
-    this.michielAudio.play().catch(e => console.log('Michiel audio play failed:', e));
-    console.log('[AUDIO] Started playing Michiel Bernsen.mp3');
-  }
-
-  // Stop Michiel audio
-  stopMichielAudio() {
-    if (this.michielAudio) {
-      this.michielAudio.pause();
-      this.michielAudio.currentTime = 0;
-      this.michielAudio = null;
-      console.log('[AUDIO] Stopped Michiel Bernsen.mp3');
-    }
+  // Fade all ambient layers (from wherever they are) up to the scene volumes
+  fadeInAmbient(duration = 800, easing = 'linear') {
+    return this.fadeLayers(this.ambientLayers, 1, { duration, easing });
   }
 
-  // Play Joey audio for eta bubble
-  playJoeyAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Joey audio first
-    if (this.joeyAudio) {
-      this.joeyAudio.pause();
-      this.joeyAudio.currentTime = 0;
-    }
-    
-    this.joeyAudio = new Audio('assets/audio/Joey.mp3');
-    this.joeyAudio.volume = 0.5;
-    this.joeyAudio.loop = false;
-    this.joeyAudio.play().catch(e => console.log('Joey audio play failed:', e));
-    console.log('[AUDIO] Started playing Joey.mp3');
-  }
-
-  // Stop Joey audio
-  stopJoeyAudio() {
-    if (this.joeyAudio) {
-      this.joeyAudio.pause();
-      this.joeyAudio.currentTime = 0;
-      this.joeyAudio = null;
-      console.log('[AUDIO] Stopped Joey.mp3');
-    }
+  // Duck the ambience bus while narration plays, or restore it
+  // Amount and fade times come from this.ducking
+  setAmbientDucked(ducked) {
+    if (ducked === this.ambientDucked) return;
+    this.ambientDucked = ducked;
+
+    // Starting a new fade reverses a running one from where it is
+    const target = ducked ? this.ducking.level : 1;
+    const duration = ducked ? this.ducking.fadeDown : this.ducking.fadeUp;
+    this.fades.fade(this.mixer.duckParam, target, { duration, easing: 'easeInOut' });
+    console.log(`[AUDIO] Ambience ${ducked ? 'ducked' : 'restored'}`);
   }
 
-  // Play Kathleen audio for theta bubble
-  playKathleenAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Kathleen audio first
-    if (this.kathleenAudio) {
-      this.kathleenAudio.pause();
-      this.kathleenAudio.currentTime = 0;
-    }
-    
-    this.kathleenAudio = new Audio('assets/audio/Kathleen van Dam.mp3');
-    this.kathleenAudio.volume = 0.5;
-    this.kathleenAudio.loop = false;
-    this.kathleenAudio.play().catch(e => console.log('Kathleen audio play failed:', e));
-    console.log('[AUDIO] Started playing Kathleen van Dam.mp3');
-  }
-
-  // Stop Kathleen audio
-  stopKathleenAudio() {
-    if (this.kathleenAudio) {
-      this.kathleenAudio.pause();
-      this.kathleenAudio.currentTime = 0;
-      this.kathleenAudio = null;
-      console.log('[AUDIO] Stopped Kathleen van Dam.mp3');
-    }
+  // Stop every channel: narration, transition, scheduled crow and all ambient
+  // layers (faded out, then released). The next playAmbient starts from scratch.
+  stopAll(duration = 1000) {
+    this.cancelCrowSound();
+    this.stopTransition();
+    this.narration.stop();
+    this.pendingSceneAudio = null;
+    this.pausedChannels = null;
+
+    const layers = [...this.ambientLayers.values(), ...this.leavingLayers.values()];
+    this.ambientLayers.clear();
+    this.leavingLayers.clear();
+
+    return Promise.all(layers.map(audio => (
+      this.fades.fade(this.layerParam(audio), 0, { duration, easing: 'easeIn' }).then(() => {
+        this.releaseAudio(audio);
+      })
+    ))).then(() => console.log('[AUDIO] All channels stopped'));
   }
 
-  // Play Marieke audio for iota bubble
-  playMariekeAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Marieke audio first
-    if (this.mariekeAudio) {
-      this.mariekeAudio.pause();
-      this.mariekeAudio.currentTime = 0;
-    }
-    
-    this.mariekeAudio = new Audio('assets/audio/MariekeMol.mp3');
-    this.mariekeAudio.volume = 0.5;
-    this.mariekeAudio.loop = false;
-    this.mariekeAudio.play().catch(e => console.log('Marieke audio play failed:', e));
-    console.log('[AUDIO] Started playing MariekeMol.mp3');
-  }
-
-  // Stop Marieke audio
-  stopMariekeAudio() {
-    if (this.mariekeAudio) {
-      this.mariekeAudio.pause();
-      this.mariekeAudio.currentTime = 0;
-      this.mariekeAudio = null;
-      console.log('[AUDIO] Stopped MariekeMol.mp3');
-    }
+  // Hold every channel where it is (global pause); resumeAll continues them
+  pauseAll() {
+    if (this.pausedChannels) return;
+
+    const elements = [
+      ...this.ambientLayers.values(),
+      ...this.leavingLayers.values(),
+      this.transitionAudio
+    ].filter(audio => audio && !audio.paused);
+    elements.forEach(audio => audio.pause());
+
+    const narration = !this.narration.paused;
+    if (narration) this.narration.pause();
+
+    // A pending crow is simply rescheduled on resume
+    const crow = this.crowSoundTimeout !== null;
+    this.cancelCrowSound();
+
+    this.pausedChannels = { elements, narration, crow };
+    console.log('[AUDIO] All channels paused');
   }
 
-  // Play Rron Nushi audio for kappa bubble
-  playRronNushiAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Rron Nushi audio first
-    if (this.rronNushiAudio) {
-      this.rronNushiAudio.pause();
-      this.rronNushiAudio.currentTime = 0;
-    }
-    
-    this.rronNushiAudio = new Audio('assets/audio/RronNushi.mp3');
-    this.rronNushiAudio.volume = 0.5;
-    this.rronNushiAudio.loop = false;
-    this.rronNushiAudio.play().catch(e => console.log('Rron Nushi audio play failed:', e));
-    console.log('[AUDIO] Started playing RronNushi.mp3');
-  }
-
-  // Stop Rron Nushi audio
-  stopRronNushiAudio() {
-    if (this.rronNushiAudio) {
-      this.rronNushiAudio.pause();
-      this.rronNushiAudio.currentTime = 0;
-      this.rronNushiAudio = null;
-      console.log('[AUDIO] Stopped RronNushi.mp3');
-    }
+  resumeAll() {
+    const paused = this.pausedChannels;
+    if (!paused) return;
+    this.pausedChannels = null;
+
+    paused.elements.forEach(audio => {
+      audio.play().catch(e => console.log('Resume after pause failed:', e));
+    });
+    if (paused.narration) this.narration.resume();
+    if (paused.crow) this.scheduleCrowSound(1000);
+    console.log('[AUDIO] All channels resumed');
   }
 
-  // Play Rawaz audio for lambda bubble
-  playRawazAudio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Rawaz audio first
-    if (this.rawazAudio) {
-      this.rawazAudio.pause();
-      this.rawazAudio.currentTime = 0;
-    }
-    
-    this.rawazAudio = new Audio('assets/audio/RawazTahir.mp3');
-    this.rawazAudio.volume = 0.5;
-    this.rawazAudio.loop = false;
-    this.rawazAudio.play().catch(e => console.log('Rawaz audio play failed:', e));
-    console.log('[AUDIO] Started playing RawazTahir.mp3');
-  }
-
-  // Stop Rawaz audio
-  stopRawazAudio() {
-    if (this.rawazAudio) {
-      this.rawazAudio.pause();
-      this.rawazAudio.currentTime = 0;
-      this.rawazAudio = null;
-      console.log('[AUDIO] Stopped RawazTahir.mp3');
-    }
+}
+
+// Narration channel: plays one bubble voice-over at a time
+// Bubbles declare a track per marked section (--- in content/nl/<card>.md)
+class NarrationChannel {
+  constructor(manager) {
+    this.manager = manager;
+    this.audio = null; // Audio element of the current track
+    this.track = null; // File name of the current track (null when silent)
   }
 
-  // Play Tobias1 audio for tobias bubble (page 1)
-  playTobias1Audio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Tobias1 audio first
-    if (this.tobias1Audio) {
-      this.tobias1Audio.pause();
-      this.tobias1Audio.currentTime = 0;
-    }
-    
-    this.tobias1Audio = new Audio('assets/audio/Tobias1.mp3');
-    this.tobias1Audio.volume = 0.5;
-    this.tobias1Audio.loop = false;
-    this.tobias1Audio.play().catch(e => console.log('Tobias1 audio play failed:', e));
-    console.log('[AUDIO] Started playing Tobias1.mp3');
-  }
-
-  // Stop Tobias1 audio
-  stopTobias1Audio() {
-    if (this.tobias1Audio) {
-      this.tobias1Audio.pause();
-      this.tobias1Audio.currentTime = 0;
-      this.tobias1Audio = null;
-      console.log('[AUDIO] Stopped Tobias1.mp3');
-    }
+  // Play a voice track from assets/audio, replacing whatever is playing
+  play(track) {
+    if (!this.manager.audioEnabled || !track) return;
+
+    // Switching tracks keeps the ambience ducked
+    this.release();
+
+    const audio = this.manager.createAudio(track, 'voice');
+    audio.volume = 0.5;
+    audio.loop = false;
+    audio.addEventListener('ended', () => {
+      if (this.audio === audio) this.manager.setAmbientDucked(false);
+    });
+    audio.play().catch(e => console.log(`Narration ${track} play failed:`, e));
+    this.audio = audio;
+    this.track = track;
+    this.manager.setAmbientDucked(true);
+    console.log(`[AUDIO] Started playing ${track}`);
   }
 
-  // Play Tobias2 audio for tobias bubble (page 2)
-  playTobias2Audio() {
-    if (!this.audioEnabled) return;
-    
-    // Stop any existing Tobias2 audio first
-    if (this.tobias2Audio) {
-      this.tobias2Audio.pause();
-      this.tobias2Audio.currentTime = 0;
-    }
-    
-    this.tobias2Audio = new Audio('assets/audio/Tobias2.mp3');
-    this.tobias2Audio.volume = 0.5;
-    this.tobias2Audio.loop = false;
-    this.tobias2Audio.play().catch(e => console.log('Tobias2 audio play failed:', e));
-    console.log('[AUDIO] Started playing Tobias2.mp3');
-  }
-
-  // Stop Tobias2 audio
-  stopTobias2Audio() {
-    if (this.tobias2Audio) {
-      this.tobias2Audio.pause();
-      this.tobias2Audio.currentTime = 0;
-      this.tobias2Audio = null;
-      console.log('[AUDIO] Stopped Tobias2.mp3');
+  // True when nothing is playing (no track, paused or ended)
+  get paused() {
+    return !this.audio || this.audio.paused;
+  }
+
+  pause() {
+    if (!this.audio || this.audio.paused) return;
+
+    this.audio.pause();
+    this.manager.setAmbientDucked(false);
+    console.log(`[AUDIO] Paused ${this.track}`);
+  }
+
+  // Resume the current track (restarts it when it already ended)
+  resume() {
+    if (!this.audio || !this.audio.paused) return;
+
+    this.audio.play().catch(e => console.log(`Narration ${this.track} resume failed:`, e));
+    this.manager.setAmbientDucked(true);
+    console.log(`[AUDIO] Resumed ${this.track}`);
+  }
+
+  // Jump to a position (seconds) in the current track
+  seek(time) {
+    if (!this.audio) return;
+
+    const duration = this.audio.duration || 0;
+    const clamped = Math.max(0, duration ? Math.min(time, duration) : time);
+    this.audio.currentTime = clamped;
+    console.log(`[AUDIO] Seeked ${this.track} to ${clamped.toFixed(1)}s`);
+  }
+
+  // Stop the current track, if any, and bring the ambience back up
+  stop() {
+    if (!this.audio) return;
+
+    this.release();
+    this.manager.setAmbientDucked(false);
+  }
+
+  // Stop the current track without touching the ducking
+  release() {
+    if (!this.audio) return;
+
+    this.manager.releaseAudio(this.audio);
+    console.log(`[AUDIO] Stopped ${this.track}`);
+    this.audio = null;
+    this.track = null;
+  }
+}
+
+// Audio mixer: every sound is routed through its own gain and a bus gain
+// (ambience, voice, sfx) into a master gain. Fades run on the element's gain
+// (AudioManager.layerParam); the buses scale whole categories for the visitor.
+// Elements leave the graph again through disconnect (AudioManager.releaseAudio).
+// Sources Web Audio may not read (file://, other origins) play unrouted instead.
+class AudioMixer {
+  constructor() {
+    this.context = null;
+    this.gains = new Map(); // bus => GainNode, 'master' feeds the speakers
+    this.elementNodes = new WeakMap(); // Audio element => { source, gain } (gain for fades)
+    this.duckGain = null; // Between the ambience bus and master (narration ducking)
+    // Stand-in duck target while there is no graph (or no Web Audio)
+    this.duckLevel = {
+      value: 1,
+      get() { return this.value; },
+      set(value) { this.value = value; }
+    };
+    this.levels = {
+      master: 1,
+      ambience: 1,
+      voice: 1,
+      sfx: 1,
+      ...preferences.get('mixer', {})
+    };
+  }
+
+  // Build the graph on first use; without Web Audio sounds play unrouted
+  ensureGraph() {
+    if (this.context) return true;
+
+    const Context = window.AudioContext || window.webkitAudioContext;
+    if (!Context) return false;
+
+    this.context = new Context();
+    const master = this.context.createGain();
+    master.connect(this.context.destination);
+    this.gains.set('master', master);
+
+    this.duckGain = this.context.createGain();
+    this.duckGain.gain.value = this.duckLevel.value;
+    this.duckGain.connect(master);
+
+    ['ambience', 'voice', 'sfx'].forEach(bus => {
+      const gain = this.context.createGain();
+      gain.connect(bus === 'ambience' ? this.duckGain : master);
+      this.gains.set(bus, gain);
+    });
+
+    this.gains.forEach((gain, bus) => {
+      gain.gain.value = this.levels[bus];
+    });
+    return true;
+  }
+
+  // Whether the graph may read an element: without CORS access (a file://
+  // page, a file from another origin) a routed element plays silent
+  canRoute(audio) {
+    if (location.protocol === 'file:') return false;
+    if (audio.crossOrigin !== null) return true;
+    const src = audio.currentSrc || audio.src;
+    return !src || new URL(src, location.href).origin === location.origin;
+  }
+
+  // Route an Audio element through its own gain into a bus (each element can
+  // be routed once); otherwise fades act on the element's volume
+  connect(audio, bus) {
+    if (!this.canRoute(audio) || !this.ensureGraph()) return;
+
+    this.resume();
+    try {
+      const gain = this.context.createGain();
+      const source = this.context.createMediaElementSource(audio);
+      source.connect(gain);
+      gain.connect(this.gains.get(bus));
+      this.elementNodes.set(audio, { source, gain });
+    } catch (e) {
+      console.log(`[MIXER] Could not route audio to ${bus}:`, e);
     }
   }
 
-  // Play crow sound effect (scene 1 only, no loop)
-  playCrowSound() {
-    if (!this.audioEnabled) return;
-    
-    const audio = new Audio('assets/audio/crow-sfx-318131.mp3');
-    audio.volume = 0.5;
-    audio.loop = false;
-    audio.play().catch(e => console.log('Crow sound play failed:', e));
-    console.log('[AUDIO] Playing crow sound');
-    
-    // Trigger crow flight animation
-    const crowContainer = document.getElementById('crow-container');
-    if (crowContainer) {
-      crowContainer.classList.add('flying');
-      // Remove class after animation completes to allow re-triggering
-      setTimeout(() => {
-        crowContainer.classList.remove('flying');
-      }, 2500);
+  // Take an element's nodes out of the graph once it is done for good
+  disconnect(audio) {
+    const nodes = this.elementNodes.get(audio);
+    if (!nodes) return;
+
+    nodes.source.disconnect();
+    nodes.gain.disconnect();
+    this.elementNodes.delete(audio);
+  }
+
+  // The element's own GainNode, or null when it is not routed
+  gainFor(audio) {
+    const nodes = this.elementNodes.get(audio);
+    return nodes ? nodes.gain : null;
+  }
+
+  // Fade target for narration ducking
+  get duckParam() {
+    return this.duckGain ? this.duckGain.gain : this.duckLevel;
+  }
+
+  resume() {
+    if (this.context && this.context.state === 'suspended') {
+      this.context.resume().catch(e => console.log('[MIXER] Resume failed:', e));
     }
   }
 
-  // Cancel scheduled crow sound
-  cancelCrowSound() {
-    if (this.crowSoundTimeout) {
-      clearTimeout(this.crowSoundTimeout);
-      this.crowSoundTimeout = null;
-      console.log('[AUDIO] Crow sound cancelled');
+  // Set a bus level (0-1) and remember it for the next visit
+  setLevel(bus, value) {
+    if (!(bus in this.levels)) return;
+
+    this.levels[bus] = Math.min(Math.max(value, 0), 1);
+    const gain = this.gains.get(bus);
+    if (gain) {
+      gain.gain.setTargetAtTime(this.levels[bus], this.context.currentTime, 0.05);
     }
+    preferences.set('mixer', this.levels);
   }
+}
 
-  // Fade ambient to a specific volume level (0-1) without stopping
-  fadeAmbientToLevel(targetLevel, duration = 500) {
-    if (this.ambientLayers.size === 0) return;
+// Easing curves for FadeEngine (progress 0-1 → 0-1)
+const FADE_EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t,
+  easeOut: t => t * (2 - t),
+  easeInOut: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  // Equal-power pair for crossfades (no loudness dip halfway)
+  crossfadeIn: t => Math.sin(t * Math.PI / 2),
+  crossfadeOut: t => 1 - Math.cos(t * Math.PI / 2)
+};
 
-    const steps = 50;
-    const stepDuration = duration / steps;
-    const startVolumes = new Map();
-    
-    // Store initial volumes
-    this.ambientLayers.forEach((audio, id) => {
-      startVolumes.set(id, audio.volume);
+// Fade engine: at most one fade per target, so overlapping scene changes
+// cannot fight over a volume. A new fade on a busy target starts from its
+// current value. Targets are AudioParams (scheduled ramps) or { get, set }
+// objects such as an element's volume (stepped in 50 interval steps).
+// fade() resolves true when it completes, false when replaced or cancelled.
+class FadeEngine {
+  constructor(getContext) {
+    this.getContext = getContext; // AudioContext for AudioParam timing
+    this.running = new Map(); // target => { stop, resolve }
+  }
+
+  fade(target, to, { duration = 500, easing = 'linear' } = {}) {
+    this.cancel(target);
+
+    const ease = FADE_EASINGS[easing] || FADE_EASINGS.linear;
+    const from = this.read(target);
+
+    return new Promise(resolve => {
+      if (duration <= 0 || from === to) {
+        this.write(target, to);
+        resolve(true);
+        return;
+      }
+
+      const onDone = () => {
+        this.running.delete(target);
+        resolve(true);
+      };
+      const stop = this.isParam(target)
+        ? this.rampParam(target, from, to, duration, ease, onDone)
+        : this.stepValue(target, from, to, duration, ease, onDone);
+      this.running.set(target, { stop, resolve });
     });
+  }
+
+  // Jump to a value, cancelling any fade on the target
+  set(target, value) {
+    this.cancel(target);
+    this.write(target, value);
+  }
+
+  // Stop a running fade where it is
+  cancel(target) {
+    const fade = this.running.get(target);
+    if (!fade) return;
+
+    this.running.delete(target);
+    fade.stop();
+    fade.resolve(false);
+  }
+
+  isParam(target) {
+    return typeof target.linearRampToValueAtTime === 'function';
+  }
+
+  read(target) {
+    return this.isParam(target) ? target.value : target.get();
+  }
+
+  write(target, value) {
+    if (this.isParam(target)) {
+      const now = this.getContext().currentTime;
+      target.cancelScheduledValues(now);
+      target.setValueAtTime(value, now);
+    } else {
+      target.set(value);
+    }
+  }
+
+  // AudioParam: the curve as short linear ramps, which (unlike
+  // setValueCurveAtTime) can be cancelled halfway
+  rampParam(param, from, to, duration, ease, onDone) {
+    const context = this.getContext();
+    const now = context.currentTime;
+    const segments = ease === FADE_EASINGS.linear ? 1 : 16;
+
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(from, now);
+    for (let i = 1; i <= segments; i++) {
+      const at = now + (duration / 1000) * (i / segments);
+      param.linearRampToValueAtTime(from + (to - from) * ease(i / segments), at);
+    }
 
+    const timer = setTimeout(onDone, duration);
+    return () => {
+      clearTimeout(timer);
+      // Hold the value the ramp had reached
+      const value = param.value;
+      param.cancelScheduledValues(context.currentTime);
+      param.setValueAtTime(value, context.currentTime);
+    };
+  }
+
+  // Plain values: 50 interval steps
+  stepValue(target, from, to, duration, ease, onDone) {
+    const steps = 50;
     let step = 0;
 
     const fadeInterval = setInterval(() => {
       step++;
-      const progress = step / steps;
-      
-      this.ambientLayers.forEach((audio, id) => {
-        const startVol = startVolumes.get(id);
-        audio.volume = startVol * (1 - progress * (1 - targetLevel));
-      });
-      
+      target.set(from + (to - from) * ease(step / steps));
       if (step >= steps) {
         clearInterval(fadeInterval);
+        onDone();
       }
-    }, stepDuration);
+    }, duration / steps);
+
+    return () => clearInterval(fadeInterval);
   }
+}
 
-  // Fade out all ambient layers
-  fadeOutAmbient(duration = 500) {
-    if (this.ambientLayers.size === 0) return;
+// ==============================================================================
+// COMPONENT: Timeline
+// ==============================================================================
+// Owns a group of timers and animation-frame callbacks so they can be paused,
+// resumed or cancelled as a unit. Every scene runs on its own timeline
+// (sceneTimeline); openScene cancels the previous one, so callbacks of a scene
+// that was left never fire into the next.
+class Timeline {
+  constructor(label = 'timeline') {
+    this.label = label;
+    this.timers = new Map(); // id => { callback, remaining, startedAt, handle }
+    this.frames = new Map(); // id => { callback, handle }
+    this.nextId = 1;
+    this.paused = false;
+    this.cancelled = false;
+  }
 
-    const steps = 50;
-    const stepDuration = duration / steps;
-    const startVolumes = new Map();
-    
-    // Store initial volumes
-    this.ambientLayers.forEach((audio, id) => {
-      startVolumes.set(id, audio.volume);
+  // Same contract as window.setTimeout; returns an id for clearTimeout
+  setTimeout(callback, delay = 0) {
+    if (this.cancelled) return 0;
+    const id = this.nextId++;
+    const timer = { callback, remaining: Math.max(0, delay), startedAt: 0, handle: null };
+    this.timers.set(id, timer);
+    if (!this.paused) this.startTimer(id, timer);
+    return id;
+  }
+
+  clearTimeout(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+    clearTimeout(timer.handle);
+    this.timers.delete(id);
+  }
+
+  // Same contract as window.requestAnimationFrame; held back while paused
+  requestAnimationFrame(callback) {
+    if (this.cancelled) return 0;
+    const id = this.nextId++;
+    const frame = { callback, handle: null };
+    this.frames.set(id, frame);
+    if (!this.paused) this.startFrame(id, frame);
+    return id;
+  }
+
+  cancelAnimationFrame(id) {
+    const frame = this.frames.get(id);
+    if (!frame) return;
+    cancelAnimationFrame(frame.handle);
+    this.frames.delete(id);
+  }
+
+  startTimer(id, timer) {
+    timer.startedAt = performance.now();
+    timer.handle = setTimeout(() => {
+      this.timers.delete(id);
+      timer.callback();
+    }, timer.remaining);
+  }
+
+  startFrame(id, frame) {
+    frame.handle = requestAnimationFrame((time) => {
+      this.frames.delete(id);
+      frame.callback(time);
     });
+  }
 
-    let step = 0;
+  // Freeze every pending callback; resume continues with the time that was left
+  pause() {
+    if (this.paused || this.cancelled) return;
+    this.paused = true;
+    const now = performance.now();
+    this.timers.forEach(timer => {
+      clearTimeout(timer.handle);
+      timer.remaining = Math.max(0, timer.remaining - (now - timer.startedAt));
+    });
+    this.frames.forEach(frame => cancelAnimationFrame(frame.handle));
+  }
 
-    const fadeInterval = setInterval(() => {
-      step++;
-      const progress = step / steps;
-      
-      this.ambientLayers.forEach((audio, id) => {
-        const startVol = startVolumes.get(id);
-        audio.volume = startVol * (1 - progress);
+  resume() {
+    if (!this.paused || this.cancelled) return;
+    this.paused = false;
+    this.timers.forEach((timer, id) => this.startTimer(id, timer));
+    this.frames.forEach((frame, id) => this.startFrame(id, frame));
+  }
+
+  // Run every pending callback right now, in the order they would have fired
+  // (frames first, then timers by time left), including ones they schedule.
+  // Used on a paused timeline to fast-forward a sequence without waiting.
+  flush(limit = 1000) {
+    let steps = 0;
+    while ((this.frames.size || this.timers.size) && steps++ < limit) {
+      if (this.frames.size) {
+        const [id, frame] = this.frames.entries().next().value;
+        cancelAnimationFrame(frame.handle);
+        this.frames.delete(id);
+        frame.callback(performance.now());
+        continue;
+      }
+
+      let nextId = null;
+      let next = null;
+      this.timers.forEach((timer, id) => {
+        if (!next || timer.remaining < next.remaining) {
+          nextId = id;
+          next = timer;
+        }
       });
-      
-      if (step >= steps) {
-        clearInterval(fadeInterval);
-        this.ambientLayers.forEach((audio) => {
-          audio.pause();
-          audio.currentTime = 0;
-        });
+      clearTimeout(next.handle);
+      this.timers.delete(nextId);
+      this.timers.forEach(timer => { timer.remaining = Math.max(0, timer.remaining - next.remaining); });
+      next.callback();
+    }
+  }
+
+  // Drop everything pending; callbacks scheduled afterwards are ignored
+  cancel() {
+    if (this.cancelled) return;
+    this.cancelled = true;
+    this.timers.forEach(timer => clearTimeout(timer.handle));
+    this.frames.forEach(frame => cancelAnimationFrame(frame.handle));
+    if (this.timers.size || this.frames.size) {
+      console.log(`[TIMELINE] Cancelled ${this.timers.size + this.frames.size} pending callbacks of ${this.label}`);
+    }
+    this.timers.clear();
+    this.frames.clear();
+  }
+}
+
+// Initialize global audio manager
+const audioManager = new AudioManager();
+
+// Landing screen handler
+const landingScreen = document.getElementById('landing-screen');
+const landingCta = document.getElementById('landing-cta');
+const landingResume = document.getElementById('landing-resume');
+
+// Animate landing screen elements on load
+if (landingScreen) {
+  const landingTitle = document.querySelector('.landing-title');
+  const landingSubtitle = document.querySelector('.landing-subtitle');
+  const landingButtons = document.querySelectorAll('.landing-cta, .landing-lang');
+  
+  // Trigger animations with 1 second delays
+  setTimeout(() => {
+    if (landingTitle) landingTitle.classList.add('animate');
+  }, 1000);
+  
+  setTimeout(() => {
+    if (landingSubtitle) landingSubtitle.classList.add('animate');
+  }, 2000);
+  
+  setTimeout(() => {
+    landingButtons.forEach(btn => btn.classList.add('animate'));
+  }, 3000);
+}
+
+// Preload the manifest (js/assets.js) before "Start ervaring" can be clicked;
+// missing files are listed on the landing screen. Card text loads first: its
+// voice tracks and portraits are part of what gets preloaded.
+const landingProgress = document.getElementById('landing-progress');
+const landingStatus = document.getElementById('landing-status');
+let landingPreload = null; // Assets.preload result once it is done
+
+// Enable Start once the preload is done and the card text of the language
+// picked last has loaded; a language switch locks it again until then
+function unlockLanding() {
+  if (!landingCta || !landingPreload) return;
+  landingCta.disabled = true;
+  if (landingResume) landingResume.disabled = true;
+
+  language.settled().then(() => {
+    const missing = (window.Content ? window.Content.missing : []).concat(landingPreload.missing);
+    if (landingStatus) {
+      if (missing.length) {
+        const names = missing.map(asset => asset.path.split('/').pop()).join(', ');
+        landingStatus.textContent = I18n.t('landing.missing', { count: missing.length, names });
+        landingStatus.classList.add('landing-status--warning');
+      } else {
+        landingStatus.textContent = '';
       }
-    }, stepDuration);
+    }
+    landingCta.disabled = false;
+    if (landingResume) landingResume.disabled = false;
+  });
+}
+
+if (landingCta && window.Assets) {
+  landingCta.disabled = true;
+  if (landingResume) landingResume.disabled = true;
+  const fill = landingProgress && landingProgress.querySelector('.landing-progress-fill');
+
+  language.settled().then(() => window.Assets.preload((loaded, total) => {
+    const percent = Math.round((loaded / total) * 100);
+    if (fill) fill.style.width = `${percent}%`;
+    if (landingProgress) landingProgress.setAttribute('aria-valuenow', String(percent));
+    if (landingStatus) landingStatus.textContent = I18n.t('landing.loading', { percent });
+  })).then(result => {
+    landingPreload = result;
+    if (landingProgress) landingProgress.hidden = true;
+    unlockLanding();
+  });
+}
+
+// Offer "Verder waar je was" when a saved run exists; "Start ervaring" then
+// becomes "Start opnieuw"
+function updateLandingResume() {
+  if (!landingCta || !landingResume) return;
+  const saved = progress.resumable();
+  landingResume.hidden = !saved;
+  landingCta.textContent = I18n.t(saved ? 'landing.restart' : 'landing.start');
+}
+
+// Language switch: one button per registered locale, named in its own language
+const landingLang = document.getElementById('landing-lang');
+
+function renderLanguageSwitch() {
+  if (!landingLang) return;
+  landingLang.innerHTML = '';
+  I18n.available.forEach(({ code, name }) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'landing-lang-option';
+    btn.lang = code;
+    btn.textContent = name;
+    btn.setAttribute('aria-pressed', String(code === I18n.locale));
+    btn.addEventListener('click', () => {
+      language.use(code, true);
+      console.log(`[I18N] Language: ${code}`);
+      unlockLanding();
+      updateLandingResume();
+      adoptStaticBubbles(); // Scene 1 bubble label
+      renderEditorPanel();
+      renderLanguageSwitch();
+    });
+    landingLang.appendChild(btn);
+  });
+}
+renderLanguageSwitch();
+
+// Start audio, fade the landing screen out, then hand over to onHidden
+function leaveLanding(onHidden) {
+  // Initialize and unmute audio
+  audioManager.init();
+  audioManager.unmuteAudio();
+  
+  // Fade out landing screen
+  landingScreen.classList.add('fade-out');
+  
+  // Hide landing screen after fade (attract mode brings it back)
+  setTimeout(() => {
+    landingScreen.hidden = true;
+    landingScreen.classList.remove('landing-screen--attract');
+    // Ensure body is ready for Scene 1
+    document.body.classList.add('js-ready');
+    onHidden();
+  }, 1000);
+}
+
+if (landingCta) {
+  updateLandingResume();
+
+  landingCta.addEventListener('click', () => {
+    progress.clear();
+    progress.enterScene(window.STORY ? window.STORY.start : 1);
+    leaveLanding(() => {
+      // Play crow sound 1 second after scene 1 starts
+      audioManager.scheduleCrowSound(1000);
+    });
+  });
+
+  if (landingResume) {
+    landingResume.addEventListener('click', () => {
+      const saved = progress.resumable();
+      leaveLanding(() => {
+        if (!saved) return;
+        console.log(`[PROGRESS] Resuming Scene ${saved.scene} (${saved.popped.length} bubbles popped)`);
+        // Forest and background as the scenes before it left them
+        if (!settleScenesBefore(saved.scene)) return;
+        openScene(saved.scene, { popped: saved.popped });
+      });
+    });
+  }
+} else {
+  // Fallback if no landing screen exists
+  audioManager.init();
+}
+
+// Editor mode (index.html?edit), see COMPONENT: Editor
+const editMode = new URLSearchParams(location.search).has('edit');
+
+// ==============================================================================
+// DEVELOPMENT TOOL: Keyboard Shortcuts
+// ==============================================================================
+// Quick scene navigation using number keys (one per scene in js/story.js)
+// Jumps like the chapter menu (jumpToScene); '1' restarts from scratch
+
+// Keys typed into a form field or editable card text are not shortcuts
+function isTyping() {
+  const el = document.activeElement;
+  return Boolean(el) && (['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName) || el.isContentEditable);
+}
+
+document.addEventListener('keydown', (e) => {
+  if (isTyping()) return;
+
+  const sceneId = parseInt(e.key, 10);
+  if (!getSceneConfig(sceneId)) return;
+
+  // Skip the landing screen
+  if (landingScreen) landingScreen.hidden = true;
+  document.body.classList.add('js-ready');
+
+  if (e.key === '1') {
+    audioManager.unmuteAudio();
+    restartExperience();
+    return;
   }
+  jumpToScene(sceneId);
+});
+
+// Fullscreen button handler
+const fullscreenBtn = document.getElementById('fullscreen-btn');
+if (fullscreenBtn) {
+  fullscreenBtn.addEventListener('click', () => {
+    if (!document.fullscreenElement) {
+      document.documentElement.requestFullscreen().catch(err => {
+        console.log('Fullscreen request failed:', err);
+      });
+    } else {
+      document.exitFullscreen();
+    }
+  });
+}
+
+// Offline kiosk mode: sw.js caches the app and every manifest asset
+// Open index.html?update-cache to re-download everything after content changes
+if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+  navigator.serviceWorker.register('sw.js')
+    .then(() => console.log('[SW] Registered'))
+    .catch(err => console.log('[SW] Registration failed:', err));
+
+  if (new URLSearchParams(location.search).has('update-cache')) {
+    if (landingStatus) landingStatus.textContent = I18n.t('landing.updatingCache');
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (!event.data || event.data.type !== 'cache-refreshed') return;
+      console.log(`[SW] Cache refreshed: ${event.data.cached} files`, event.data.failed);
+      // Reload without the flag, keeping ?lang, ?explore, ?idle and the rest
+      const query = location.search.slice(1).split('&')
+        .filter(param => param && param.split('=')[0] !== 'update-cache')
+        .join('&');
+      location.replace(location.pathname + (query ? `?${query}` : '') + location.hash);
+    });
+    navigator.serviceWorker.ready.then(registration => {
+      registration.active.postMessage({ type: 'refresh-cache' });
+    });
+  }
+}
+
+// Sound settings panel: one slider (0-100) per mixer bus
+const settingsBtn = document.getElementById('settings-btn');
+const settingsPanel = document.getElementById('settings-panel');
+if (settingsBtn && settingsPanel) {
+  const setPanelOpen = (open) => {
+    settingsPanel.hidden = !open;
+    settingsBtn.setAttribute('aria-expanded', String(open));
+  };
+
+  settingsPanel.querySelectorAll('input[data-bus]').forEach(slider => {
+    slider.value = Math.round(audioManager.mixer.levels[slider.dataset.bus] * 100);
+    slider.addEventListener('input', () => {
+      audioManager.mixer.setLevel(slider.dataset.bus, slider.value / 100);
+    });
+  });
+
+  const motionToggle = settingsPanel.querySelector('#reduced-motion-toggle');
+  if (motionToggle) {
+    motionToggle.checked = reducedMotion.enabled;
+    motionToggle.addEventListener('change', () => reducedMotion.set(motionToggle.checked));
+  }
+
+  const speedSelect = settingsPanel.querySelector('#reading-speed-select');
+  if (speedSelect) {
+    speedSelect.value = readingSpeed.level;
+    speedSelect.addEventListener('change', () => readingSpeed.set(speedSelect.value));
+  }
+
+  settingsBtn.addEventListener('click', () => setPanelOpen(settingsPanel.hidden));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !settingsPanel.hidden) {
+      e.preventDefault(); // Handled: no global pause
+      setPanelOpen(false);
+      settingsBtn.focus();
+    }
+  });
+}
+
+// ==============================================================================
+// COMPONENT: Scene Reset
+// ==============================================================================
+// Back to Scene 1 without a page reload (assets stay loaded, fullscreen stays on)
+
+// Scene markup as served, before fog layers or any scene touched it
+const pristineScene = (() => {
+  const scene = document.getElementById('fog-scene');
+  return scene && {
+    className: scene.className,
+    style: scene.getAttribute('style'),
+    markup: scene.innerHTML
+  };
+})();
+
+/**
+ * Tear the experience down to its first-load state: pending scene timers,
+ * every audio channel, blossom rain and all scene DOM go; Scene 1 comes back
+ * with fresh fog. Does not start Scene 1 audio (see restartExperience).
+ * @param {number} fade - Ambience fade-out in ms
+ * @returns {Promise} Resolves once the audio has faded out
+ */
+function resetExperience(fade = 600) {
+  if (experiencePaused) resumeExperience();
+  beginSceneTimeline(window.STORY ? window.STORY.start : 1);
+  const audioStopped = audioManager.stopAll(fade);
+  stopBlossomRain();
+
+  const scene = document.getElementById('fog-scene');
+  if (scene && pristineScene) {
+    scene.className = pristineScene.className;
+    if (pristineScene.style === null) scene.removeAttribute('style');
+    else scene.setAttribute('style', pristineScene.style);
+    scene.innerHTML = pristineScene.markup;
+  }
+  currentSceneId = window.STORY ? window.STORY.start : 1;
+
+  createFogLayers(12, 14);
+  adoptStaticBubbles();
+  refreshBubbleList();
+  bubbles.forEach(attachBubbleHandler);
+  console.log('[RESET] Scene 1 restored');
+  return audioStopped;
+}
+
+// Restart button (end scene) and key '1': reset, then play Scene 1 again
+function restartExperience() {
+  console.log('[RESTART] Restarting experience');
+  progress.clear();
+  replayStartScene();
+}
+
+// Reset to Scene 1 and start its audio once the old channels have faded out
+function replayStartScene() {
+  progress.enterScene(window.STORY ? window.STORY.start : 1);
+  resetExperience().then(() => {
+    if (audioManager.audioInitialized) {
+      audioManager.playAmbient(1);
+    } else {
+      audioManager.init();
+    }
+    audioManager.scheduleCrowSound(1000);
+  });
+}
+
+// ==============================================================================
+// COMPONENT: Chapter Menu
+// ==============================================================================
+// Lists the story's segments (STORY.chapters in js/story.js) with their
+// visited state and jumps to the first scene of the selected one. A jump
+// resets the experience, fast-forwards the transitions of the scenes before
+// the target (settleTransition) so the forest looks as if the visitor walked
+// there, then opens the target scene normally.
+
+const chaptersBtn = document.getElementById('chapters-btn');
+const chaptersPanel = document.getElementById('chapters-panel');
+
+/**
+ * Leave the current scene properly and open another one: the start scene
+ * replays from scratch, later scenes get the forest of the scenes before them
+ * @param {number} sceneId - Scene id from js/story.js
+ */
+function jumpToScene(sceneId) {
+  if (!getSceneConfig(sceneId)) return console.warn(`Scene ${sceneId} not configured`);
+  const start = window.STORY ? window.STORY.start : 1;
+  console.log(`[CHAPTERS] Jumping to Scene ${sceneId}`);
+
+  if (!audioManager.audioInitialized) {
+    audioManager.init();
+    audioManager.unmuteAudio();
+  }
+  if (sceneId === start) return replayStartScene();
+
+  resetExperience(300);
+  if (!settleScenesBefore(sceneId)) return;
+
+  openScene(sceneId);
+}
+
+// Walk the story from the start up to sceneId, settling what each scene left
+// behind (forest transitions, scene classes); false when it is not reachable
+function settleScenesBefore(sceneId) {
+  const start = window.STORY ? window.STORY.start : 1;
+  const scene = document.getElementById('fog-scene');
+  const seen = new Set();
+  let config = getSceneConfig(start);
+  while (config && config.id !== sceneId && !seen.has(config.id)) {
+    seen.add(config.id);
+    if (config.type === 'title' && config.transition) settleTransition(config.transition);
+    else if (config.sceneClass && scene) scene.classList.add(config.sceneClass);
+    config = getSceneConfig(config.next);
+  }
+  if (!config) console.warn(`Scene ${sceneId} is not reachable from Scene ${start}`);
+  return Boolean(config);
+}
+
+// Chapter a scene belongs to, or null
+function chapterOfScene(sceneId) {
+  const chapters = (window.STORY && window.STORY.chapters) || [];
+  return chapters.find(chapter => chapter.scenes.includes(sceneId)) || null;
+}
 
-  // Fade in all ambient layers smoothly
-  fadeInAmbient(duration = 800) {
-    if (this.ambientLayers.size === 0) return;
+function setChaptersOpen(open) {
+  if (!chaptersBtn || !chaptersPanel) return;
+  if (open) renderChapters();
+  chaptersPanel.hidden = !open;
+  chaptersBtn.setAttribute('aria-expanded', String(open));
+}
 
-    const steps = 50;
-    const stepDuration = duration / steps;
-    const targetVolumes = new Map();
-    
-    // Get target volumes from config and start at 0
-    this.ambientLayers.forEach((audio, id) => {
-      targetVolumes.set(id, audio.volume);
-      audio.volume = 0;
+// Rebuilt on every open so visited state and the current chapter are fresh
+function renderChapters() {
+  const chapters = (window.STORY && window.STORY.chapters) || [];
+  const visited = progress.visited;
+  const onLanding = landingScreen && !landingScreen.hidden;
+  const current = onLanding ? null : chapterOfScene(currentSceneId);
+
+  chaptersPanel.innerHTML = '';
+  chapters.forEach(chapter => {
+    const title = I18n.translate('chapters', chapter.id, chapter.title);
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'chapter';
+    item.textContent = title;
+    item.dataset.chapter = chapter.id;
+    const wasVisited = chapter.scenes.some(id => visited.includes(id));
+    item.classList.toggle('chapter--visited', wasVisited);
+    item.setAttribute('aria-label', wasVisited ? I18n.t('chapters.visited', { title }) : title);
+    if (current === chapter) item.setAttribute('aria-current', 'true');
+
+    item.addEventListener('click', () => {
+      setChaptersOpen(false);
+      const first = chapter.scenes[0];
+      if (landingScreen && !landingScreen.hidden) {
+        leaveLanding(() => jumpToScene(first));
+      } else {
+        jumpToScene(first);
+      }
     });
+    chaptersPanel.appendChild(item);
+  });
+}
 
-    let step = 0;
+if (chaptersBtn && chaptersPanel) {
+  chaptersBtn.addEventListener('click', () => setChaptersOpen(chaptersPanel.hidden));
 
-    const fadeInterval = setInterval(() => {
-      step++;
-      const progress = step / steps;
-      
-      this.ambientLayers.forEach((audio, id) => {
-        const targetVol = targetVolumes.get(id);
-        audio.volume = targetVol * progress;
-      });
-      
-      if (step >= steps) {
-        clearInterval(fadeInterval);
-        // Ensure final volumes are exact
-        this.ambientLayers.forEach((audio, id) => {
-          audio.volume = targetVolumes.get(id);
-        });
-      }
-    }, stepDuration);
-  }
-
-  // Switch to Scene 9 ambient: fade out frogs/night/insects, fade in birdsong1+2
-  switchToScene9Ambient(fadeOutDuration = 1200, fadeInDuration = 1200) {
-    // Fade out and stop existing ambient layers
-    if (this.ambientLayers.size > 0) {
-      const steps = 50;
-      const stepDuration = fadeOutDuration / steps;
-      const startVolumes = new Map();
-      this.ambientLayers.forEach((audio, id) => startVolumes.set(id, audio.volume));
-      let step = 0;
-      const fadeInterval = setInterval(() => {
-        step++;
-        const progress = step / steps;
-        this.ambientLayers.forEach((audio, id) => {
-          const startVol = startVolumes.get(id);
-          audio.volume = startVol * (1 - progress);
-        });
-        if (step >= steps) {
-          clearInterval(fadeInterval);
-          this.ambientLayers.forEach(audio => { try { audio.pause(); audio.currentTime = 0; } catch(e){} });
-          this.ambientLayers.clear();
-          // Now start bird layers
-          const birds = [
-            { id: 'bird1', file: 'Birdsong1.mp3', volume: 0.6 },
-            { id: 'bird2', file: 'Birdsong2.mp3', volume: 0.6 }
-          ];
-          birds.forEach(layer => {
-            const audioPath = `assets/audio/${layer.file}`;
-            const audio = new Audio(audioPath);
-            audio.loop = true;
-            audio.volume = 0; // start at 0, fade in
-            audio.muted = false;
-            audio.play().catch(e => console.log(`Bird ambient ${layer.id} play failed:`, e));
-            this.birdLayers.set(layer.id, audio);
-          });
-          // Fade in birds
-          const stepsIn = 50;
-          const stepDurIn = fadeInDuration / stepsIn;
-          let stepIn = 0;
-          const targetVolumes = new Map([
-            ['bird1', 0.6],
-            ['bird2', 0.6]
-          ]);
-          const fadeInInterval = setInterval(() => {
-            stepIn++;
-            const progressIn = stepIn / stepsIn;
-            this.birdLayers.forEach((audio, id) => {
-              const target = targetVolumes.get(id) || 0.6;
-              audio.volume = target * progressIn;
-            });
-            if (stepIn >= stepsIn) {
-              clearInterval(fadeInInterval);
-              // ensure exact targets
-              this.birdLayers.forEach((audio, id) => {
-                const target = targetVolumes.get(id) || 0.6;
-                audio.volume = target;
-              });
-            }
-          }, stepDurIn);
-        }
-      }, stepDuration);
-    } else {
-      // No prior ambient: just start birds
-      const birds = [
-        { id: 'bird1', file: 'Birdsong1.mp3', volume: 0.6 },
-        { id: 'bird2', file: 'Birdsong2.mp3', volume: 0.6 }
-      ];
-      birds.forEach(layer => {
-        const audioPath = `assets/audio/${layer.file}`;
-        const audio = new Audio(audioPath);
-        audio.loop = true;
-        audio.volume = 0;
-        audio.play().catch(e => console.log(`Bird ambient ${layer.id} play failed:`, e));
-        this.birdLayers.set(layer.id, audio);
-      });
-      this.fadeInBirdAmbient(fadeInDuration);
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !chaptersPanel.hidden) {
+      e.preventDefault(); // Handled: no global pause
+      setChaptersOpen(false);
+      chaptersBtn.focus();
     }
-  }
+  });
+}
 
-  // Fade in bird ambient helper
-  fadeInBirdAmbient(duration = 1000) {
-    if (this.birdLayers.size === 0) return;
-    const steps = 50; const stepDuration = duration / steps;
-    const targetVolumes = new Map();
-    this.birdLayers.forEach((audio, id) => { targetVolumes.set(id, 0.6); audio.volume = 0; });
-    let step = 0;
-    const interval = setInterval(() => {
-      step++;
-      const progress = step / steps;
-      this.birdLayers.forEach((audio, id) => {
-        const target = targetVolumes.get(id) || 0.6;
-        audio.volume = target * progress;
-      });
-      if (step >= steps) {
-        clearInterval(interval);
-        this.birdLayers.forEach((audio, id) => { audio.volume = targetVolumes.get(id) || 0.6; });
-      }
-    }, stepDuration);
-  }
+// ==============================================================================
+// COMPONENT: Attract Mode
+// ==============================================================================
+// Kiosk behaviour: after ATTRACT_MODE.idleMinutes without input the experience
+// fades out, every audio channel stops and the landing screen returns with a
+// teaser animation. Scene 1 is rebuilt behind it (resetExperience).
+// Open index.html?idle=<minutes> to change the timeout (0 turns it off).
+
+const ATTRACT_MODE = {
+  idleMinutes: 3,
+  fadeOut: 1000 // ms, matches the landing screen's opacity transition
+};
 
-}
+const idleParam = parseFloat(new URLSearchParams(location.search).get('idle'));
+if (!isNaN(idleParam)) ATTRACT_MODE.idleMinutes = idleParam;
+if (editMode) ATTRACT_MODE.idleMinutes = 0; // Never reset under an editor
 
-// Initialize global audio manager
-const audioManager = new AudioManager();
+let idleTimer = null;
 
-// Landing screen handler
-const landingScreen = document.getElementById('landing-screen');
-const landingCta = document.getElementById('landing-cta');
+function armIdleTimer() {
+  clearTimeout(idleTimer);
+  if (!(ATTRACT_MODE.idleMinutes > 0)) return;
+  idleTimer = setTimeout(onIdle, ATTRACT_MODE.idleMinutes * 60000);
+}
 
-// Animate landing screen elements on load
-if (landingScreen) {
-  const landingTitle = document.querySelector('.landing-title');
-  const landingSubtitle = document.querySelector('.landing-subtitle');
-  const landingCtaBtn = document.querySelector('.landing-cta');
-  
-  // Trigger animations with 1 second delays
-  setTimeout(() => {
-    if (landingTitle) landingTitle.classList.add('animate');
-  }, 1000);
-  
-  setTimeout(() => {
-    if (landingSubtitle) landingSubtitle.classList.add('animate');
-  }, 2000);
-  
-  setTimeout(() => {
-    if (landingCtaBtn) landingCtaBtn.classList.add('animate');
-  }, 3000);
+function onIdle() {
+  // Nothing to reset while the landing screen is up
+  if (!landingScreen || !landingScreen.hidden) return;
+  // A paused visitor keeps their place; resumeExperience re-arms the timer
+  if (experiencePaused) return;
+  // A visitor may be listening to a narration without touching anything
+  if (!audioManager.narration.paused) return armIdleTimer();
+  enterAttractMode();
 }
 
-if (landingCta) {
-  landingCta.addEventListener('click', () => {
-    // Initialize and unmute audio
-    audioManager.init();
-    audioManager.unmuteAudio();
-    
-    // Fade out landing screen
-    landingScreen.classList.add('fade-out');
-    
-    // Remove landing screen after fade
-    setTimeout(() => {
-      landingScreen.remove();
-      // Ensure body is ready for Scene 1
-      document.body.classList.add('js-ready');
-      
-      // Play crow sound 1 second after scene 1 starts (store timeout ID)
-      audioManager.crowSoundTimeout = setTimeout(() => {
-        audioManager.playCrowSound();
-        audioManager.crowSoundTimeout = null;
-      }, 1000);
-    }, 1000);
-  });
-} else {
-  // Fallback if no landing screen exists
-  audioManager.init();
+// Fade the landing screen in over the scene, then reset everything behind it
+function enterAttractMode() {
+  console.log('[ATTRACT] Idle timeout, back to the landing screen');
+  if (experiencePaused) resumeExperience();
+  sceneTimeline.cancel();
+  audioManager.stopAll(ATTRACT_MODE.fadeOut);
+
+  // The next visitor starts fresh
+  progress.clear();
+  updateLandingResume();
+  setChaptersOpen(false);
+
+  landingScreen.hidden = false;
+  landingScreen.classList.add('landing-screen--attract');
+  void landingScreen.offsetHeight; // Start the opacity transition from 0
+  landingScreen.classList.remove('fade-out');
+
+  setTimeout(() => resetExperience(0), ATTRACT_MODE.fadeOut);
 }
 
+['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+  document.addEventListener(type, armIdleTimer, { capture: true, passive: true });
+});
+armIdleTimer();
+
 // ==============================================================================
-// DEVELOPMENT TOOL: Keyboard Shortcuts
+// COMPONENT: Global Pause
 // ==============================================================================
-// Quick scene navigation using number keys 1-5
-// Automatically cleans up current scene before jumping
-document.addEventListener('keydown', (e) => {
-  // Only trigger if no input/textarea is focused
-  if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') return;
-  
-  // Helper function to clean up current scene
-  const cleanupCurrentScene = () => {
-    const scene = document.getElementById('fog-scene');
-    if (!scene) return;
-    
-    // Remove all bubbles
-    const bubbles = scene.querySelectorAll('.bubble');
-    bubbles.forEach(b => b.remove());
-    
-    // Remove scene-specific content divs (use more specific selectors)
-    const sceneContents = scene.querySelectorAll('.scene-2, .scene-3-content, .scene-4, .scene-5-content, [class*="scene-"]');
-    sceneContents.forEach(s => s.remove());
-    
-    // Remove any remaining content containers
-    const contentDivs = scene.querySelectorAll('div:not(.fog-layer):not(.tree-wrapper):not(.tree-layer)');
-    contentDivs.forEach(div => {
-      // Keep fog and tree elements, remove everything else
-      if (!div.classList.contains('fog-layer') && 
-          !div.classList.contains('tree-wrapper') && 
-          !div.classList.contains('tree-layer')) {
-        div.remove();
-      }
-    });
-    
-    // Reset scene classes completely
-    scene.className = 'scene';
-    scene.classList.add('scene--ready');
-    
-    // Reset scene background color
-    scene.style.backgroundColor = '';
-    
-    // Remove landing screen if present
-    const landing = document.getElementById('landing-screen');
-    if (landing) landing.remove();
-    
-    // Ensure body is ready
-    document.body.classList.add('js-ready');
-  };
-  
-  switch(e.key) {
-    case '1':
-      cleanupCurrentScene();
-      // Initialize audio
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      // Reload page to get Scene 1 fresh
-      location.reload();
-      break;
-      
-    case '2':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      const testBubble = document.createElement('div');
-      testBubble.className = 'bubble';
-      openScene2(testBubble);
-      break;
-      
-    case '3':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene3();
-      break;
-      
-    case '4':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene4();
-      break;
-      
-    case '5':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene5();
-      break;
-      
-    case '6':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene6();
-      break;
-      
-    case '7':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene7();
-      break;
-      
-    case '8':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene8();
-      break;
-      
-    case '9':
-      cleanupCurrentScene();
-      if (!audioManager.initialized) {
-        audioManager.init();
-        audioManager.unmuteAudio();
-      }
-      openScene9();
-      break;
+// Freezes the whole experience (pause button, Space or Escape): every audio
+// channel, CSS and Web Animations including the blossom petals, and the
+// pending timers of the current scene. "Verder" or the same keys resume.
+// Space pauses only when no control has focus; attract mode waits while paused.
+
+const pauseBtn = document.getElementById('pause-btn');
+const pauseOverlay = document.getElementById('pause-overlay');
+const pauseResumeBtn = document.getElementById('pause-resume');
+let experiencePaused = false;
+let frozenAnimations = []; // Animations that were running when paused
+
+function pauseExperience() {
+  // Nothing is running yet while the landing screen is up
+  if (experiencePaused || (landingScreen && !landingScreen.hidden)) return;
+  experiencePaused = true;
+  clearTimeout(idleTimer);
+
+  audioManager.pauseAll();
+  sceneTimeline.pause();
+  if (window.BlossomRain && window.BlossomRain.pauseBlossomRain) window.BlossomRain.pauseBlossomRain();
+
+  // .experience-paused holds CSS animations (also ones that start while paused);
+  // transitions and Web Animations are paused one by one
+  document.body.classList.add('experience-paused');
+  frozenAnimations = document.getAnimations
+    ? document.getAnimations().filter(animation => animation.playState === 'running')
+    : [];
+  frozenAnimations.forEach(animation => animation.pause());
+
+  if (pauseOverlay) pauseOverlay.hidden = false;
+  if (pauseBtn) pauseBtn.setAttribute('aria-pressed', 'true');
+  if (pauseResumeBtn) pauseResumeBtn.focus();
+  console.log('[PAUSE] Experience paused');
+}
+
+function resumeExperience() {
+  if (!experiencePaused) return;
+  experiencePaused = false;
+
+  document.body.classList.remove('experience-paused');
+  frozenAnimations.forEach(animation => animation.play());
+  frozenAnimations = [];
+  if (window.BlossomRain && window.BlossomRain.resumeBlossomRain) window.BlossomRain.resumeBlossomRain();
+  sceneTimeline.resume();
+  audioManager.resumeAll();
+
+  if (pauseOverlay) {
+    if (pauseOverlay.contains(document.activeElement) && pauseBtn) pauseBtn.focus();
+    pauseOverlay.hidden = true;
   }
-});
+  if (pauseBtn) pauseBtn.setAttribute('aria-pressed', 'false');
+  armIdleTimer();
+  console.log('[PAUSE] Experience resumed');
+}
 
-// Fullscreen button handler
-const fullscreenBtn = document.getElementById('fullscreen-btn');
-if (fullscreenBtn) {
-  fullscreenBtn.addEventListener('click', () => {
-    if (!document.fullscreenElement) {
-      document.documentElement.requestFullscreen().catch(err => {
-        console.log('Fullscreen request failed:', err);
-      });
-    } else {
-      document.exitFullscreen();
-    }
+if (pauseBtn) {
+  pauseBtn.addEventListener('click', () => {
+    if (experiencePaused) resumeExperience();
+    else pauseExperience();
   });
 }
+if (pauseResumeBtn) pauseResumeBtn.addEventListener('click', resumeExperience);
+
+// Space on a focused control activates it ("Volgende", "Pop!", transport,
+// a bubble) instead of pausing
+function isOnControl() {
+  const el = document.activeElement;
+  return Boolean(el && el.closest && el.closest('button, a[href], input, select, textarea, summary, [role="button"]'));
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.key !== ' ' && e.key !== 'Escape') return;
+  if (e.defaultPrevented) return; // e.g. Escape closed the settings panel
+  if (isTyping()) return;
+  if (e.key === ' ' && isOnControl()) return;
+  if (!experiencePaused && landingScreen && !landingScreen.hidden) return;
+
+  e.preventDefault(); // Space must not also scroll the page
+  if (experiencePaused) resumeExperience();
+  else pauseExperience();
+});
 
 // Attach expand / takeover handlers to bubbles on the page.
 let bubbles = document.querySelectorAll('.bubble');
@@ -1053,18 +1678,176 @@ if (bubbles.length === 0) {
 
 // finalizeExpand removed - expandBubble now handles everything in one smooth flow
 
+// Exploration mode (index.html?explore or STORY.exploration): an expanded bubble
+// can be closed and re-read later; "Pop!" stays the way to mark it done, and
+// the scene only moves on once every bubble is popped (finishBubble).
+// Editor mode uses it too, so a card can be edited without popping it.
+const explorationMode = new URLSearchParams(location.search).has('explore') ||
+  editMode || Boolean(window.STORY && window.STORY.exploration);
+
 // Perform a zoom animation from the clicked bubble into the centered modal
 // ==============================================================================
 // COMPONENT: Bubble Expansion System
 // ==============================================================================
 // Handles dynamic sizing, pagination, and content animation for bubble interactions
 // Three-phase expansion: size → background → content fade-in
+
+// Screen-reader announcements through the polite live region in index.html
+const bubbleAnnouncer = document.getElementById('bubble-announcer');
+
+function announce(text) {
+  if (bubbleAnnouncer) bubbleAnnouncer.textContent = text.replace(/\s+/g, ' ').trim();
+}
+
+// Narration transport (play/pause, 10s rewind, progress) for an expanded bubble
+// Follows whichever track audioManager.narration is playing: call attach(audio)
+// whenever the bubble starts a new track.
+function createNarrationTransport(bubble) {
+  const REWIND_SECONDS = 10;
+
+  const transport = document.createElement('div');
+  transport.className = 'narration-transport';
+  transport.setAttribute('role', 'group');
+  transport.setAttribute('aria-label', I18n.t('transport.label'));
+  transport.innerHTML = `
+    <button type="button" class="transport-toggle" aria-label="${I18n.t('transport.pause')}"></button>
+    <button type="button" class="transport-rewind" aria-label="${I18n.t('transport.rewind', { seconds: REWIND_SECONDS })}">-${REWIND_SECONDS}s</button>
+    <div class="transport-progress" role="progressbar" aria-label="${I18n.t('transport.progress')}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+      <div class="transport-progress-fill"></div>
+    </div>
+  `;
+
+  const toggle = transport.querySelector('.transport-toggle');
+  const rewind = transport.querySelector('.transport-rewind');
+  const progress = transport.querySelector('.transport-progress');
+  const fill = transport.querySelector('.transport-progress-fill');
+  let audio = null;
+
+  const update = () => {
+    const paused = audioManager.narration.paused;
+    toggle.textContent = paused ? '▶' : '❚❚';
+    toggle.setAttribute('aria-label', I18n.t(paused ? 'transport.play' : 'transport.pause'));
+    bubble.classList.toggle('narration-paused', paused);
+
+    const percent = audio && audio.duration ? (audio.currentTime / audio.duration) * 100 : 0;
+    fill.style.width = `${percent}%`;
+    progress.setAttribute('aria-valuenow', String(Math.round(percent)));
+  };
+
+  const events = ['timeupdate', 'play', 'pause', 'ended', 'loadedmetadata'];
+
+  const detach = () => {
+    if (audio) events.forEach(type => audio.removeEventListener(type, update));
+    audio = null;
+  };
+
+  // Control clicks stay inside the transport, like the CTA handler
+  toggle.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    if (audioManager.narration.paused) {
+      audioManager.narration.resume();
+    } else {
+      audioManager.narration.pause();
+    }
+    update();
+  });
+
+  rewind.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    if (!audio) return;
+    audioManager.narration.seek(audio.currentTime - REWIND_SECONDS);
+    update();
+  });
+
+  // Click on the bar seeks to that point
+  progress.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    if (!audio || !audio.duration) return;
+    const rect = progress.getBoundingClientRect();
+    const ratio = rect.width ? (ev.clientX - rect.left) / rect.width : 0;
+    audioManager.narration.seek(Math.min(Math.max(ratio, 0), 1) * audio.duration);
+    update();
+  });
+
+  return {
+    element: transport,
+    attach(nextAudio) {
+      detach();
+      audio = nextAudio;
+      events.forEach(type => audio.addEventListener(type, update));
+      transport.hidden = false;
+      update();
+    },
+    detach() {
+      detach();
+      transport.hidden = true;
+      bubble.classList.remove('narration-paused');
+    }
+  };
+}
+
+// Card pagination: the card may fill this share of the expanded circle's
+// height (the round edge clips text beyond it). Without layout to measure
+// (hidden tab, tests) pages hold a fixed number of sentences.
+const PAGINATION = {
+  fill: 0.8,
+  fallbackSentences: 5
+};
+
+// Split a card's sentences into pages. A data-page marker (--- in a content
+// file) always starts a new page; otherwise a page ends once fits(count) says
+// the next sentence would overflow the card. Leaves every sentence hidden.
+function paginateSentences(sentences, fits) {
+  const pages = [];
+  let page = [];
+  let marker = null;
+
+  sentences.forEach(s => { s.style.display = 'none'; });
+  sentences.forEach(sentence => {
+    const pageMarker = sentence.dataset.page || '1';
+    sentence.style.display = 'inline-block';
+    if (page.length && (pageMarker !== marker || !fits(page.length + 1))) {
+      page.forEach(s => { s.style.display = 'none'; });
+      pages.push(page);
+      page = [];
+    }
+    page.push(sentence);
+    marker = pageMarker;
+  });
+  if (page.length) pages.push(page);
+
+  sentences.forEach(s => { s.style.display = 'none'; });
+  return pages;
+}
+
 function expandBubble(bubble) {
   if (bubble.classList.contains('expanded')) return;
 
   const scene = document.getElementById('fog-scene');
   if (!scene) return;
 
+  // Card text from content/<locale>/<card>.md (js/content.js), if the bubble has one
+  const cardId = bubble.dataset.card;
+  const card = cardId ? window.Content.get(cardId) : null;
+  if (cardId && !card && !window.Content.failed(cardId)) {
+    // Opened (a number key skips the landing screen) before its text has
+    // loaded: expand once it has
+    window.Content.whenLoaded(cardId).then(() => expandBubble(bubble));
+    return;
+  }
+  if (cardId && !card) console.warn(`[BUBBLE] Content for ${cardId} not loaded`);
+
+  // Inline state (position, orbit) to return to when the bubble collapses
+  const restingStyle = bubble.style.cssText;
+
+  // Timers of this expansion, dropped again when the bubble collapses
+  const expansionTimers = [];
+  const later = (callback, delay) => {
+    const id = sceneTimeline.setTimeout(callback, delay);
+    expansionTimers.push(id);
+    return id;
+  };
+
   // Cancel crow sound if it's scheduled (first bubble clicked before crow plays)
   audioManager.cancelCrowSound();
 
@@ -1094,249 +1877,346 @@ function expandBubble(bubble) {
 
   // Stop animations on the bubble immediately
   bubble.style.animation = 'none';
-  
+
   // Inject content structure NOW (before expansion starts)
   let content = bubble.querySelector('.bubble-content');
   if (!content) {
-    const templateId = bubble.dataset.template || 'bubble-template';
-    const tpl = document.getElementById(templateId);
-    
-    if (tpl && tpl.content) {
-      const tplRoot = tpl.content.firstElementChild;
+    if (card) {
+      content = window.Content.build(card);
+    } else if (cardId) {
+      // The file could not be loaded: say so on the card, which still pops
+      content = window.Content.build({
+        title: I18n.t('bubble.unavailable'),
+        paragraphs: [{ page: 1, sentences: [I18n.t('bubble.unavailableText')] }]
+      });
+    } else if (bubble.dataset.template) {
+      const templateId = bubble.dataset.template;
+      const tpl = document.getElementById(templateId);
+      const tplRoot = tpl && tpl.content && tpl.content.firstElementChild;
       if (tplRoot) {
         content = tplRoot.cloneNode(true);
-        const inner = document.createElement('div');
-        inner.className = 'bubble-inner-card';
-        // Don't set inline opacity - let CSS handle it
-        inner.appendChild(content);
-        bubble.appendChild(inner);
+        I18n.localizeTemplate(templateId, content);
       }
     }
+
+    if (content) {
+      const inner = document.createElement('div');
+      inner.className = 'bubble-inner-card';
+      // Don't set inline opacity - let CSS handle it
+      inner.appendChild(content);
+      bubble.appendChild(inner);
+    }
   }
 
   // Count sentences in content to determine bubble size and pagination
   // Re-query from bubble to ensure we get the content after it's in the DOM
   content = bubble.querySelector('.bubble-content');
-  const sentences = content ? content.querySelectorAll('.sentence') : [];
+  if (editMode && card && content) makeCardEditable(bubble, content);
+  const sentences = content ? Array.from(content.querySelectorAll('.sentence')) : [];
   const sentenceCount = sentences.length || 3; // Default to 3 if no sentences found
   const bubbleSize = calculateBubbleSize(sentenceCount);
-  
-  // Pagination setup: max 5 sentences per page
-  const sentencesPerPage = 5;
-  const totalPages = Math.ceil(sentenceCount / sentencesPerPage);
+
+  // Pages (arrays of sentences), measured in phase 3 once the bubble has its
+  // final size
+  let pages = [];
   let currentPage = 1;
-  
+
   // Store dynamic size as CSS custom property on the bubble
   bubble.style.setProperty('--dynamic-bubble-size', `${bubbleSize}px`);
   
   // Bubble sizing configured dynamically
 
-  // Calculate adaptive delay between sentences helper function
-  const calculateSentenceDelay = (count) => {
-    if (count <= 3) return 5000;
-    if (count <= 6) return 3000;
-    if (count <= 10) return 2000;
-    return 1500; // For very long content
+  // Voice tracks per marked section (--- in the content file, data-page in a
+  // template), from the content file or declared as
+  // data-voice="Part1.mp3,Part2.mp3" (dubbed versions for the current
+  // language when it has them)
+  const voiceTracks = (card ? card.voice : (bubble.dataset.voice || '').split(','))
+    .map(track => track.trim())
+    .filter(Boolean)
+    .map(track => I18n.voiceTrack(track));
+
+  // Transport controls, only for bubbles that have narration
+  let transport = null;
+  const innerCard = bubble.querySelector('.bubble-inner-card');
+  if (voiceTracks.length && innerCard) {
+    transport = createNarrationTransport(bubble);
+    transport.element.hidden = true; // Shown once a track starts
+    const ctaRow = innerCard.querySelector('#bubble-cta');
+    if (ctaRow && ctaRow.parentElement) {
+      ctaRow.parentElement.before(transport.element);
+    } else {
+      innerCard.appendChild(transport.element);
+    }
+  }
+
+  // Captions of the playing track (see js/captions.js); null = timer-based reveal
+  let captionSync = null;
+
+  const stopCaptions = () => {
+    if (!captionSync) return;
+    captionSync.detach();
+    captionSync = null;
+  };
+
+  // Marked section a page belongs to (a section may span several pages)
+  const pageSection = (page) => Number(pages[page - 1][0].dataset.page || 1);
+
+  // Narration of a page: the track of its section, or of the last section
+  // before it that has one
+  const pageTrack = (page) => {
+    const section = Math.min(pageSection(page), voiceTracks.length);
+    return { section, track: voiceTracks[section - 1] };
+  };
+
+  // Cues of the playing track and the sentences they reveal
+  let trackCues = null;
+  let trackSentences = [];
+
+  // Move the playing track to the page's text when it is speaking another
+  // page, earlier or later; a finished track starts again there
+  const seekToPage = (page) => {
+    const audio = audioManager.narration.audio;
+    if (!audio || !trackCues) return;
+    const pageSentences = pages[page - 1];
+    const first = trackSentences.indexOf(pageSentences[0]);
+    const last = Math.min(trackSentences.indexOf(pageSentences[pageSentences.length - 1]), trackCues.length - 1);
+    if (first < 0 || first >= trackCues.length) return;
+
+    const from = first ? trackCues[first - 1].end : 0;
+    if (audio.currentTime >= from && audio.currentTime < trackCues[last].end) return;
+    const ended = audio.ended;
+    audioManager.narration.seek(from);
+    if (ended) audioManager.narration.resume();
+  };
+
+  // Sentences of the page on screen revealed (and read out) as the track
+  // reaches their cues; the track's other sentences stay hidden and unread
+  const followCaptions = (audio) => {
+    const pageSentences = pages[currentPage - 1] || [];
+    const shown = trackSentences.map(s => (pageSentences.includes(s) ? s : null));
+    captionSync = window.Captions.syncSentences(audio, shown, trackCues,
+      sentence => announce(sentence.textContent));
+  };
+
+  // Play the page's track, or follow the current one to the page when the
+  // page shares it; works in both directions
+  const playPageVoice = (page) => {
+    if (!pages.length || !voiceTracks.length) return;
+    const { section, track } = pageTrack(page);
+    if (track === audioManager.narration.track) {
+      // Same track continues on this page: reveal what has already been said
+      seekToPage(page);
+      // Captions follow the new page's sentences, also when a click on the
+      // card had stopped them
+      stopCaptions();
+      if (trackCues) followCaptions(audioManager.narration.audio);
+      return;
+    }
+
+    stopCaptions();
+    trackCues = null;
+    audioManager.narration.play(track);
+    const audio = audioManager.narration.audio;
+    if (!audio) return;
+
+    if (transport) transport.attach(audio);
+
+    // Track failed to load (possibly before its cues did): show the page's
+    // sentences instead of waiting on a track that never plays
+    audio.addEventListener('error', () => {
+      if (audioManager.narration.audio !== audio) return;
+      stopCaptions();
+      trackCues = null;
+      if (transport) transport.detach();
+      const pageSentences = showPageSentences(currentPage, false);
+      pageSentences.forEach(s => s.classList.add('sentence-animate'));
+      announce(pageSentences.map(s => s.textContent).join(' '));
+    }, { once: true });
+
+    if (!window.Captions) return;
+
+    // The track's cues start at the first sentence of its section
+    trackSentences = sentences.filter(s => Number(s.dataset.page || 1) >= section);
+    window.Captions.loadCues(track).then(cues => {
+      if (!cues || audioManager.narration.audio !== audio || audio.error) return;
+      trackCues = cues;
+      followCaptions(audio);
+      // Opened on a later page of the section (going back): start at its text
+      seekToPage(currentPage);
+    });
+  };
+
+  // Timer-based reveal, skipped while captions drive the sentences: each
+  // sentence waits for the words before it at the reading speed
+  // Pending reveals of the page on screen, dropped when the visitor pages
+  let revealTimers = [];
+
+  const revealSentences = (pageSentences) => {
+    let at = 0;
+    pageSentences.forEach(sentence => {
+      revealTimers.push(later(() => {
+        // Skipped when captions took over, the card showed it already or the
+        // visitor paged away
+        if (captionSync || sentence.classList.contains('sentence-animate') || sentence.style.display === 'none') return;
+        sentence.classList.add('sentence-animate');
+        announce(sentence.textContent);
+      }, at));
+      at += readingSpeed.delay(sentence.textContent.trim().split(/\s+/).length);
+    });
+  };
+
+  // Click on the card: show the rest of the page at once. Captions stop
+  // driving the sentences; the narration itself plays on.
+  const revealPage = () => {
+    const hidden = (pages[currentPage - 1] || []).filter(s => !s.classList.contains('sentence-animate'));
+    if (!hidden.length) return;
+    stopCaptions();
+    hidden.forEach(s => s.classList.add('sentence-animate'));
+    announce(hidden.map(s => s.textContent).join(' '));
   };
 
   // Function to show sentences for current page
   const showPageSentences = (page, animateImmediately = true) => {
-    const startIndex = (page - 1) * sentencesPerPage;
-    const endIndex = Math.min(startIndex + sentencesPerPage, sentenceCount);
-    
     // Hide all sentences first
     sentences.forEach(s => {
-      s.classList.remove('sentence-animate');
+      s.classList.remove('sentence-animate', 'sentence-active');
       s.style.display = 'none';
     });
-    
+
     // Show sentences for current page (display: inline-block to establish height)
-    const pageSentences = Array.from(sentences).slice(startIndex, endIndex);
+    const pageSentences = pages[page - 1] || [];
     pageSentences.forEach(s => s.style.display = 'inline-block');
     
     // Animate with dynamic timing (only if animateImmediately is true)
     if (animateImmediately) {
-      const sentenceDelay = calculateSentenceDelay(pageSentences.length);
-      pageSentences.forEach((sentence, index) => {
-        setTimeout(() => {
-          sentence.classList.add('sentence-animate');
-        }, index * sentenceDelay);
-      });
+      revealSentences(pageSentences);
     }
     
     return pageSentences;
   };
   
-  // Wire CTA handler with pagination support
+  // Back button beside the CTA; a dot per page and "1 / 2" above it, shown
+  // once there are several pages
   const cta = bubble.querySelector('#bubble-cta');
+  const backBtn = document.createElement('button');
+  backBtn.type = 'button';
+  backBtn.className = 'cta bubble-back';
+  backBtn.textContent = I18n.t('bubble.back');
+  backBtn.hidden = true;
+  const pager = document.createElement('div');
+  pager.className = 'bubble-pager';
+  pager.hidden = true;
+  pager.innerHTML = `
+    <div class="bubble-dots" aria-hidden="true"></div>
+    <span class="bubble-page-count" aria-hidden="true"></span>
+    <span class="sr-only"></span>
+  `;
+  const pageDots = pager.querySelector('.bubble-dots');
+  if (cta && cta.parentElement) {
+    cta.before(backBtn);
+    cta.parentElement.before(pager);
+  }
+
+  const renderPager = () => {
+    if (cta) cta.textContent = I18n.t(currentPage < pages.length ? 'bubble.next' : 'bubble.pop');
+    backBtn.hidden = currentPage === 1;
+    pager.hidden = pages.length < 2;
+    pageDots.innerHTML = pages
+      .map((page, index) => `<span class="bubble-dot${index + 1 === currentPage ? ' bubble-dot--current' : ''}"></span>`)
+      .join('');
+    pager.querySelector('.bubble-page-count').textContent = `${currentPage} / ${pages.length}`;
+    pager.querySelector('.sr-only').textContent = I18n.t('bubble.page', { page: currentPage, total: pages.length });
+  };
+
+  const goToPage = (page) => {
+    currentPage = page;
+    // A page visited before starts its reveal afresh, at the reading speed
+    revealTimers.forEach(id => sceneTimeline.clearTimeout(id));
+    revealTimers = [];
+    showPageSentences(currentPage);
+    // Switch narration to this page's track, or to its text in the current one
+    playPageVoice(currentPage);
+    renderPager();
+    // The back button hides on the first page: keep focus inside the card
+    if (backBtn.hidden && document.activeElement === backBtn && cta) cta.focus();
+  };
+
+  backBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    if (currentPage > 1) goToPage(currentPage - 1);
+  });
+
+  // Arrow keys page back and forward like the buttons; a click on the card
+  // (not its buttons) shows the rest of the page
+  if (innerCard) {
+    innerCard.addEventListener('click', revealPage);
+    innerCard.addEventListener('keydown', (ev) => {
+      if (isTyping() || !pages.length) return;
+      if (ev.key === 'ArrowLeft' && currentPage > 1) {
+        goToPage(currentPage - 1);
+      } else if (ev.key === 'ArrowRight' && currentPage < pages.length) {
+        goToPage(currentPage + 1);
+      } else {
+        return;
+      }
+      ev.preventDefault();
+    });
+  }
+
+  // Measured in phase 3: the card, with the transport and dots that will show
+  // beside it, against the expanded circle. The content's max-height caps the
+  // card's box, so text running past it only shows in its scrollHeight.
+  const cardFits = (count) => {
+    const circle = bubble.getBoundingClientRect().height;
+    if (!circle || !innerCard) return count <= PAGINATION.fallbackSentences;
+    if (content.scrollHeight > content.clientHeight) return false;
+    return innerCard.getBoundingClientRect().height <= circle * PAGINATION.fill;
+  };
+
+  const paginate = () => {
+    const transportHidden = transport && transport.element.hidden;
+    if (transport) transport.element.hidden = false;
+    pager.hidden = false;
+    pages = paginateSentences(sentences, cardFits);
+    if (transport) transport.element.hidden = transportHidden;
+    renderPager();
+    console.log(`[BUBBLE] ${sentences.length} sentences on ${pages.length} pages`);
+  };
+
+  // Wire CTA handler with pagination support
   if (cta) {
-    // Set initial CTA text
-    cta.textContent = totalPages > 1 ? 'Volgende' : 'Pop!';
-    
     cta.addEventListener('click', (ev) => {
       ev.stopPropagation();
-      
+
       // Handle pagination if more pages exist
-      if (currentPage < totalPages) {
-        currentPage++;
-        showPageSentences(currentPage);
-        
-        // Handle audio transitions for beta bubble (ChatGPT)
-        if (bubble.classList.contains('bubble-orbit-beta')) {
-          if (currentPage === 2) {
-            // Stop Chat1 and start Chat2 when moving to page 2
-            audioManager.stopChat1Audio();
-            audioManager.playChat2Audio();
-          }
-        }
-        
-        // Handle audio transitions for tobias bubble (Scene 8)
-        if (bubble.classList.contains('bubble-tobias')) {
-          if (currentPage === 2) {
-            // Stop Tobias1 and start Tobias2 when moving to page 2
-            audioManager.stopTobias1Audio();
-            audioManager.playTobias2Audio();
-          }
-        }
-        
-        // Update CTA text for last page
-        if (currentPage === totalPages) {
-          cta.textContent = 'Pop!';
-        }
+      if (currentPage < pages.length) {
+        goToPage(currentPage + 1);
         return;
       }
       
       // Play pop sound only when actually popping the bubble
       audioManager.playPopSound();
       
-      // Stop intro audio if it's playing (first bubble)
-      audioManager.stopIntroAudio();
-      
-      // Stop Copilot audio if it's playing (alpha bubble)
-      audioManager.stopCopilotAudio();
-      
-      // Stop Chat audio if it's playing (beta bubble)
-      audioManager.stopChat1Audio();
-      audioManager.stopChat2Audio();
-      
-      // Stop WatisAI audio if it's playing (gamma bubble)
-      audioManager.stopWatIsAIAudio();
-      
-      // Stop Geneve audio if it's playing (delta bubble)
-      audioManager.stopGeneveAudio();
-      
-      // Stop Paul Blok audio if it's playing (epsilon bubble)
-      audioManager.stopPaulBlokAudio();
-      
-      // Stop Michiel audio if it's playing (zeta bubble)
-      audioManager.stopMichielAudio();
-      
-      // Stop Joey audio if it's playing (eta bubble)
-      audioManager.stopJoeyAudio();
-      
-      // Stop Kathleen audio if it's playing (theta bubble)
-      audioManager.stopKathleenAudio();
+      // Stop whatever narration is playing for this bubble
+      stopCaptions();
+      if (transport) transport.detach();
+      audioManager.narration.stop();
       
-      // Stop Marieke audio if it's playing (iota bubble)
-      audioManager.stopMariekeAudio();
-      
-      // Stop Rron Nushi audio if it's playing (kappa bubble)
-      audioManager.stopRronNushiAudio();
-      
-      // Stop Rawaz audio if it's playing (lambda bubble)
-      audioManager.stopRawazAudio();
-      
-      // Stop Tobias audio if it's playing (tobias bubble)
-      audioManager.stopTobias1Audio();
-      audioManager.stopTobias2Audio();
-      
-      if (bubble.dataset.scene2 === 'true') {
-        const innerCard = bubble.querySelector('.bubble-inner-card');
-        if (innerCard) try { innerCard.remove(); } catch (e) {}
-        bubble.classList.remove('expanded');
-        if (scene) {
-          scene.classList.remove('scene--expanded');
-          scene.classList.remove('scene--zoom');
-        }
-        bubble.style.transition = 'opacity 300ms ease, transform 300ms ease';
-        bubble.style.opacity = '0';
-        bubble.style.transform = 'translate(-50%, -50%) scale(0.8)';
-        setTimeout(() => {
-          try { bubble.remove(); } catch (e) {}
-          resetOtherBubbles();
-          const remaining = document.querySelectorAll('[data-scene2="true"]');
-          if (remaining.length === 0) openScene3();
-        }, 300);
-      } else if (bubble.dataset.scene4 === 'true') {
-        const innerCard = bubble.querySelector('.bubble-inner-card');
-        if (innerCard) try { innerCard.remove(); } catch (e) {}
-        bubble.classList.remove('expanded');
-        if (scene) {
-          scene.classList.remove('scene--expanded');
-          scene.classList.remove('scene--zoom');
-        }
-        bubble.style.transition = 'opacity 300ms ease, transform 300ms ease';
-        bubble.style.opacity = '0';
-        bubble.style.transform = 'translate(-50%, -50%) scale(0.8)';
-        setTimeout(() => {
-          try { bubble.remove(); } catch (e) {}
-          resetOtherBubbles();
-          setTimeout(() => {
-            const remaining = document.querySelectorAll('[data-scene4="true"]');
-            if (remaining.length === 0) openScene5();
-          }, 50);
-        }, 300);
-      } else if (bubble.dataset.scene6 === 'true') {
-        const innerCard = bubble.querySelector('.bubble-inner-card');
-        if (innerCard) try { innerCard.remove(); } catch (e) {}
-        bubble.classList.remove('expanded');
-        if (scene) {
-          scene.classList.remove('scene--expanded');
-          scene.classList.remove('scene--zoom');
-        }
-        bubble.style.transition = 'opacity 300ms ease, transform 300ms ease';
-        bubble.style.opacity = '0';
-        bubble.style.transform = 'translate(-50%, -50%) scale(0.8)';
-        setTimeout(() => {
-          try { bubble.remove(); } catch (e) {}
-          resetOtherBubbles();
-          setTimeout(() => {
-            const remaining = document.querySelectorAll('[data-scene6="true"]');
-            if (remaining.length === 0) openScene7();
-          }, 50);
-        }, 300);
-      } else if (bubble.dataset.scene8 === 'true') {
-        const innerCard = bubble.querySelector('.bubble-inner-card');
-        if (innerCard) try { innerCard.remove(); } catch (e) {}
-        bubble.classList.remove('expanded');
-        if (scene) {
-          scene.classList.remove('scene--expanded');
-          scene.classList.remove('scene--zoom');
-        }
-        bubble.style.transition = 'opacity 300ms ease, transform 300ms ease';
-        bubble.style.opacity = '0';
-        bubble.style.transform = 'translate(-50%, -50%) scale(0.8)';
-        setTimeout(() => {
-          try { bubble.remove(); } catch (e) {}
-          resetOtherBubbles();
-          setTimeout(() => {
-            const remaining = document.querySelectorAll('[data-scene8="true"]');
-            if (remaining.length === 0) openScene9();
-          }, 50);
-        }, 300);
-      } else {
-        openScene2(bubble);
-      }
+      finishBubble(bubble);
     });
   }
 
   // Add expanded class and prepare for transition
   bubble.classList.add('expanded');
   
-  // Mark as dialog for accessibility
+  // Mark as dialog for accessibility, named after the card's title
+  const title = bubble.querySelector('.bubble-title');
   bubble.setAttribute('role', 'dialog');
   bubble.setAttribute('aria-modal', 'true');
+  bubble.setAttribute('aria-label', (title || bubble).textContent.replace(/\s+/g, ' ').trim());
   bubble.style.pointerEvents = 'auto';
+  // Opened with the mouse: keyboard focus follows into the dialog
+  if (!bubble.contains(document.activeElement)) bubble.focus({ preventScroll: true });
   
   // Update scene state
   scene.classList.remove('scene--zooming');
@@ -1346,122 +2226,64 @@ function expandBubble(bubble) {
   // Phase 1: Apply transition property FIRST, then change values in next frame
   bubble.classList.add('bubble-size-transition');
   
-  requestAnimationFrame(() => {
+  const sizeFrame = sceneTimeline.requestAnimationFrame(() => {
     // Now apply the actual size/position values - this will smoothly transition
     bubble.classList.add('bubble-size-apply');
   });
 
+  // Exploration mode: close the bubble back into its orbit to re-read it later
+  if (explorationMode && innerCard) {
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'bubble-close';
+    closeBtn.setAttribute('aria-label', I18n.t('bubble.close'));
+    closeBtn.textContent = '×';
+    closeBtn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      expansionTimers.forEach(id => sceneTimeline.clearTimeout(id));
+      sceneTimeline.cancelAnimationFrame(sizeFrame);
+      stopCaptions();
+      if (transport) transport.detach();
+      audioManager.narration.stop();
+      collapseBubble(bubble, restingStyle);
+    });
+    innerCard.appendChild(closeBtn);
+  }
+
   // Phase 1 complete: size transition finishes after 1.2s
   // Phase 2: Start background color fade
-  setTimeout(() => {
+  later(() => {
     // First apply transition property
     bubble.classList.add('bubble-background-transition');
     // Wait 50ms to ensure transition is registered, then apply color values
-    setTimeout(() => {
+    later(() => {
       bubble.classList.add('bubble-background-apply');
     }, 50);
   }, 1200);
   
   // Phase 2 complete: background fade finishes after 1.5s more (1.2s + 1.5s = 2.7s)
   // Phase 3: Show content
-  setTimeout(() => {
+  later(() => {
     console.log('[BUBBLE] Phase 3: Starting content reveal at 2700ms');
     
+    // The bubble has its final size now: measure which sentences fit per page
+    paginate();
+
     // IMPORTANT: Show sentences FIRST (without animation) to establish correct height
     console.log('[BUBBLE] Showing first page of sentences (display only, no animation yet)');
     const pageSentences = showPageSentences(1, false);
     console.log(`[BUBBLE] First page has ${pageSentences.length} sentences`);
     
     // Small delay to let sentences render in DOM, then fade in content container
-    setTimeout(() => {
+    later(() => {
       console.log('[BUBBLE] Adding bubble-show-content class');
       bubble.classList.add('bubble-show-content');
       
-      // Start intro audio for first bubble (no scene dataset attributes)
-      if (!bubble.dataset.scene2 && !bubble.dataset.scene4 && !bubble.dataset.scene6 && !bubble.dataset.scene8) {
-        audioManager.playIntroAudio();
-      }
-      
-      // Start Copilot audio for alpha bubble (scene 2)
-      if (bubble.classList.contains('bubble-orbit-alpha')) {
-        audioManager.playCopilotAudio();
-      }
-      
-      // Start Chat1 audio for beta bubble (scene 2, page 1)
-      if (bubble.classList.contains('bubble-orbit-beta')) {
-        audioManager.playChat1Audio();
-      }
-      
-      // Start WatisAI audio for gamma bubble (scene 2)
-      if (bubble.classList.contains('bubble-orbit-gamma')) {
-        audioManager.playWatIsAIAudio();
-      }
-      
-      // Start Geneve audio for delta bubble (scene 4)
-      if (bubble.classList.contains('bubble-delta')) {
-        audioManager.playGeneveAudio();
-      }
-      
-      // Start Paul Blok audio for epsilon bubble (scene 4)
-      if (bubble.classList.contains('bubble-epsilon')) {
-        audioManager.playPaulBlokAudio();
-        
-        // Add profile bubble for Paul Blok
-        const profileBubble = document.createElement('div');
-        profileBubble.className = 'profile-bubble';
-        bubble.appendChild(profileBubble);
-      }
-      
-      // Start Michiel audio for zeta bubble (scene 4)
-      if (bubble.classList.contains('bubble-zeta')) {
-        audioManager.playMichielAudio();
-        
-        // Add profile bubble for Michiel (left)
-        const profileBubble = document.createElement('div');
-        profileBubble.className = 'profile-bubble';
-        profileBubble.style.backgroundImage = "url('assets/img/Michiel.png')";
-        bubble.appendChild(profileBubble);
-      }
-      
-      // Start Joey audio for eta bubble (scene 6)
-      if (bubble.classList.contains('bubble-eta')) {
-        audioManager.playJoeyAudio();
-      }
-      
-      // Start Kathleen audio for theta bubble (scene 6)
-      if (bubble.classList.contains('bubble-theta')) {
-        audioManager.playKathleenAudio();
-      }
-      
-      // Start Marieke audio for iota bubble (scene 6)
-      if (bubble.classList.contains('bubble-iota')) {
-        audioManager.playMariekeAudio();
-      }
-      
-      // Start Rron Nushi audio for kappa bubble (scene 6)
-      if (bubble.classList.contains('bubble-kappa')) {
-        audioManager.playRronNushiAudio();
-      }
-      
-      // Start Rawaz audio for lambda bubble (scene 6)
-      if (bubble.classList.contains('bubble-lambda')) {
-        audioManager.playRawazAudio();
-        
-        // Add profile bubble for Rawaz (bottom-left)
-        const profileBubble = document.createElement('div');
-        profileBubble.className = 'profile-bubble-bottom-left';
-        bubble.appendChild(profileBubble);
-      }
+      // Start narration for page 1 (data-voice on the bubble)
+      playPageVoice(1);
       
-      // Start Tobias1 audio for tobias bubble (scene 8, page 1)
-      if (bubble.classList.contains('bubble-tobias')) {
-        audioManager.playTobias1Audio();
-        
-        // Add profile bubble for Tobias (right side)
-        const profileBubble = document.createElement('div');
-        profileBubble.className = 'profile-bubble-right';
-        bubble.appendChild(profileBubble);
-      }
+      // Portrait from the content file, sliding in beside the card
+      if (card && card.portrait) bubble.appendChild(createPortrait(card));
       
       // Animate title first
       const title = bubble.querySelector('.bubble-title');
@@ -1472,27 +2294,77 @@ function expandBubble(bubble) {
       
       // After title animation starts, animate sentences with delay
       const titleAnimationDuration = 1500; // Title takes ~1.5s to fade in
-      setTimeout(() => {
+      later(() => {
         console.log('[BUBBLE] Now animating sentences');
-        const sentenceDelay = calculateSentenceDelay(pageSentences.length);
-        pageSentences.forEach((sentence, index) => {
-          setTimeout(() => {
-            sentence.classList.add('sentence-animate');
-          }, index * sentenceDelay);
-        });
+        revealSentences(pageSentences);
       }, titleAnimationDuration);
     }, 100);
     
     const cta = bubble.querySelector('#bubble-cta');
     if (cta) {
-      setTimeout(() => cta.focus(), 200);
+      later(() => cta.focus(), 200);
     }
   }, 2700);
 }
 
-// `collapseBubble` removed: linear flow enforced (no user collapse).
-// If you need a programmatic collapse later, reintroduce a concise
-// implementation here that cleans up `.bubble-content` and `.bubble-inner-card`.
+// Portrait classes per `portrait-side` in a content file (css/style.css)
+const PORTRAIT_CLASSES = {
+  left: 'profile-bubble',
+  right: 'profile-bubble-right',
+  'bottom-left': 'profile-bubble-bottom-left'
+};
+
+// Round photo shown next to an expanded bubble (assets/img/<portrait>)
+function createPortrait(card) {
+  const portrait = document.createElement('div');
+  portrait.className = PORTRAIT_CLASSES[card.portraitSide] || PORTRAIT_CLASSES.left;
+  const src = encodeURI(`assets/img/${card.portrait}`);
+  portrait.style.backgroundImage = `url('${src}')`;
+  return portrait;
+}
+
+/**
+ * Fold an expanded bubble back into its orbit (exploration mode)
+ * expandBubble stops the bubble's timers and narration before calling this
+ * @param {HTMLElement} bubble - The expanded bubble
+ * @param {string} restingStyle - Its inline style from before the expansion
+ */
+function collapseBubble(bubble, restingStyle) {
+  const scene = document.getElementById('fog-scene');
+
+  const innerCard = bubble.querySelector('.bubble-inner-card');
+  if (innerCard) try { innerCard.remove(); } catch (e) {}
+  bubble.querySelectorAll('.profile-bubble, .profile-bubble-right, .profile-bubble-bottom-left')
+    .forEach(el => el.remove());
+
+  bubble.classList.remove('expanded', 'bubble-size-transition', 'bubble-size-apply',
+    'bubble-background-transition', 'bubble-background-apply', 'bubble-show-content');
+  bubble.classList.add('bubble--read');
+  bubble.setAttribute('role', 'button');
+  bubble.removeAttribute('aria-modal');
+  bubble.removeAttribute('aria-label');
+  if (scene) scene.classList.remove('scene--zooming', 'scene--expanded', 'scene--zoom');
+
+  resetOtherBubbles();
+  bubble.style.cssText = restingStyle;
+  bubble.focus({ preventScroll: true });
+  console.log(`[BUBBLE] Collapsed ${bubble.dataset.bubble}`);
+}
+
+// Keep Tab and Shift+Tab cycling through the controls of an expanded bubble
+// (role="dialog", aria-modal), so keyboard focus cannot wander behind it
+function trapFocus(dialog, ev) {
+  const focusable = Array.from(dialog.querySelectorAll('button, [href], input, [tabindex]:not([tabindex="-1"])'))
+    .filter(el => !el.disabled && !el.closest('[hidden]'));
+  ev.preventDefault();
+  if (!focusable.length) return;
+
+  const index = focusable.indexOf(document.activeElement);
+  const next = ev.shiftKey
+    ? (index <= 0 ? focusable.length - 1 : index - 1)
+    : (index + 1) % focusable.length;
+  focusable[next].focus();
+}
 
 function attachBubbleHandler(bubble) {
   // Ensure label exists for hiding on expand
@@ -1505,59 +2377,65 @@ function attachBubbleHandler(bubble) {
     bubble.appendChild(span);
   }
 
+  // Keyboard and screen readers: a focusable button until it expands into a dialog
+  bubble.tabIndex = 0;
+  if (!bubble.classList.contains('expanded')) bubble.setAttribute('role', 'button');
+  bubble.setAttribute('aria-haspopup', 'dialog');
+
   // Special behavior for epsilon bubble - move to corner on mouseenter
-  if (bubble.classList.contains('bubble-epsilon')) {
+  // (keyboard: every Enter/Space dodges until the bubble is caught)
+  // Returns true while the bubble is still dodging; off in the editor, which
+  // has to be able to drag it
+  let dodge = null;
+  if (bubble.classList.contains('bubble-epsilon') && !editMode) {
+    const corners = [
+      { top: '85%', left: '15%' }, // First move: to down-left corner
+      { top: '15%', left: '15%' }, // Second move: to up-left corner
+      { top: '50%', left: '50%' } // Third move: to center of screen
+    ];
     let moveStep = 0;
     let isTransitioning = false;
-    
-    bubble.addEventListener('mouseenter', () => {
-      if (!bubble.classList.contains('expanded') && !isTransitioning) {
-        if (moveStep === 0) {
-          // First move: to down-left corner
-          moveStep = 1;
-          isTransitioning = true;
-          bubble.style.animation = 'none';
-          bubble.style.transition = 'top 0.6s cubic-bezier(.25,.46,.45,.94), left 0.6s cubic-bezier(.25,.46,.45,.94), transform 0.3s ease';
-          bubble.style.top = '85%';
-          bubble.style.left = '15%';
-          setTimeout(() => {
-            isTransitioning = false;
-            bubble.style.transition = 'none';
-            bubble.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
-          }, 650); // Wait for 0.6s transition + 50ms buffer
-        } else if (moveStep === 1) {
-          // Second move: to up-left corner
-          moveStep = 2;
-          isTransitioning = true;
-          bubble.style.animation = 'none';
-          bubble.style.transition = 'top 0.6s cubic-bezier(.25,.46,.45,.94), left 0.6s cubic-bezier(.25,.46,.45,.94), transform 0.3s ease';
-          bubble.style.top = '15%';
-          bubble.style.left = '15%';
-          setTimeout(() => {
-            isTransitioning = false;
-            bubble.style.transition = 'none';
-            bubble.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
-          }, 650);
-        } else if (moveStep === 2) {
-          // Third move: to center of screen
-          moveStep = 3;
-          isTransitioning = true;
-          bubble.style.animation = 'none';
-          bubble.style.transition = 'top 0.6s cubic-bezier(.25,.46,.45,.94), left 0.6s cubic-bezier(.25,.46,.45,.94), transform 0.3s ease';
-          bubble.style.top = '50%';
-          bubble.style.left = '50%';
-          setTimeout(() => {
-            isTransitioning = false;
-            bubble.style.transition = 'none';
-            bubble.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
-          }, 650);
-        }
-      }
-    });
+
+    dodge = () => {
+      if (bubble.classList.contains('expanded')) return false;
+      if (isTransitioning) return true;
+      if (moveStep >= corners.length) return false;
+
+      const corner = corners[moveStep++];
+      isTransitioning = true;
+      bubble.style.animation = 'none';
+      bubble.style.transition = 'top 0.6s cubic-bezier(.25,.46,.45,.94), left 0.6s cubic-bezier(.25,.46,.45,.94), transform 0.3s ease';
+      bubble.style.top = corner.top;
+      bubble.style.left = corner.left;
+      sceneTimeline.setTimeout(() => {
+        isTransitioning = false;
+        bubble.style.transition = 'none';
+        bubble.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
+      }, 650); // Wait for 0.6s transition + 50ms buffer
+      return true;
+    };
+
+    bubble.addEventListener('mouseenter', dodge);
   }
 
+  bubble.addEventListener('keydown', (ev) => {
+    if (bubble.classList.contains('expanded')) {
+      if (ev.key === 'Tab') trapFocus(bubble, ev);
+      return;
+    }
+    if (ev.target !== bubble || (ev.key !== 'Enter' && ev.key !== ' ')) return;
+    ev.preventDefault(); // Handled: Space must not also pause the experience
+
+    if (dodge && dodge()) {
+      announce(I18n.t('bubble.dodged'));
+      return;
+    }
+    expandBubble(bubble);
+  });
+
   bubble.addEventListener('click', (ev) => {
-    // Linear flow: once expanded, the bubble does not collapse via click.
+    // Clicks inside an expanded bubble don't collapse it (exploration mode
+    // has its own close button, see expandBubble)
     if (bubble.classList.contains('expanded')) {
       // ignore clicks when expanded
       ev.stopPropagation();
@@ -1567,7 +2445,8 @@ function attachBubbleHandler(bubble) {
   });
 }
 
-// Attach handlers to initially existing bubbles
+// Attach handlers to initially existing bubbles (Scene 1 lives in the markup)
+adoptStaticBubbles();
 bubbles.forEach(attachBubbleHandler);
 
 // -----------------------------
@@ -1855,7 +2734,7 @@ const TRANSITIONS = {
       });
       
       // Remove old tree wrappers after exit animation
-      setTimeout(() => {
+      sceneTimeline.setTimeout(() => {
         oldWrappers.forEach(wrapper => {
           try { 
             wrapper.remove();
@@ -1868,7 +2747,7 @@ const TRANSITIONS = {
       // ============================================
       // Scene 3: bomen waaieren uit vanuit onder-midden naar hun eindposities
       // Linker bomen starten 40% left, rechter bomen 40% right (symmetrisch)
-      setTimeout(() => {
+      sceneTimeline.setTimeout(() => {
         // Selecteer de wrappers voor positie animatie
         const brownWrappers = scene.querySelectorAll('.tree-wrapper-brown-left-1, .tree-wrapper-brown-left-2, .tree-wrapper-brown-left-3, .tree-wrapper-brown-right-1, .tree-wrapper-brown-right-2, .tree-wrapper-brown-right-3');
         console.log('[2-3] Brown wrappers selected:', brownWrappers.length, Array.from(brownWrappers).map(w => ({ cls: w.className, style: { left: w.style.left, right: w.style.right, bottom: w.style.bottom, opacity: w.style.opacity, transform: w.style.transform } })));
@@ -1940,7 +2819,7 @@ const TRANSITIONS = {
           }
           
           // Herstart sway animatie na entrance (4.8s)
-          setTimeout(() => {
+          sceneTimeline.setTimeout(() => {
             wrapper.style.removeProperty('animation');
           }, 4800);
         });
@@ -1984,10 +2863,10 @@ const TRANSITIONS = {
         void wrapper.offsetHeight;
         wrapper.style.transform = isLeft ? `translateX(${direction}) scale(1.2)` : `translateX(${direction}) scaleX(-1) scale(1.2)`;
       });
-      setTimeout(() => { brownWrappers.forEach(w => { try { w.remove(); } catch(e){} }); }, 4600);
+      sceneTimeline.setTimeout(() => { brownWrappers.forEach(w => { try { w.remove(); } catch(e){} }); }, 4600);
 
       // Enter LEAVES trees (same choreography as 2-3 entrance)
-      setTimeout(() => {
+      sceneTimeline.setTimeout(() => {
         const leavesWrappers = scene.querySelectorAll('.tree-wrapper-leaves-left-1, .tree-wrapper-leaves-left-2, .tree-wrapper-leaves-left-3, .tree-wrapper-leaves-right-1, .tree-wrapper-leaves-right-2, .tree-wrapper-leaves-right-3');
         console.log('[4-5] Leaves wrappers selected:', leavesWrappers.length, Array.from(leavesWrappers).map(w => ({ cls: w.className, style: { left: w.style.left, right: w.style.right, bottom: w.style.bottom, opacity: w.style.opacity, transform: w.style.transform } })));
         leavesWrappers.forEach(wrapper => {
@@ -2009,7 +2888,7 @@ const TRANSITIONS = {
           const needsScaleX = wrapper.classList.toString().includes('right');
           wrapper.style.transform = needsScaleX ? 'scaleX(-1) scale(1)' : 'scale(1)';
           if (tree) { tree.style.transition = 'opacity 4.2s ease-out'; tree.style.opacity = '1'; }
-          setTimeout(() => { wrapper.style.removeProperty('animation'); }, 4800);
+          sceneTimeline.setTimeout(() => { wrapper.style.removeProperty('animation'); }, 4800);
         });
       }, 0);
       
@@ -2048,10 +2927,10 @@ const TRANSITIONS = {
         void wrapper.offsetHeight;
         wrapper.style.transform = isLeft ? `translateX(${direction}) scale(1.2)` : `translateX(${direction}) scaleX(-1) scale(1.2)`;
       });
-      setTimeout(() => { leavesWrappers.forEach(w => { try { w.remove(); } catch(e){} }); }, 4600);
+      sceneTimeline.setTimeout(() => { leavesWrappers.forEach(w => { try { w.remove(); } catch(e){} }); }, 4600);
 
       // Enter CHERRIES trees
-      setTimeout(() => {
+      sceneTimeline.setTimeout(() => {
         const cherriesWrappers = scene.querySelectorAll('.tree-wrapper-cherries-left-1, .tree-wrapper-cherries-left-2, .tree-wrapper-cherries-left-3, .tree-wrapper-cherries-right-1, .tree-wrapper-cherries-right-2, .tree-wrapper-cherries-right-3');
         cherriesWrappers.forEach(wrapper => {
           const isLeft = wrapper.classList.toString().includes('left');
@@ -2072,7 +2951,7 @@ const TRANSITIONS = {
           const needsScaleX = wrapper.classList.toString().includes('right');
           wrapper.style.transform = needsScaleX ? 'scaleX(-1) scale(1)' : 'scale(1)';
           if (tree) { tree.style.transition = 'opacity 4.2s ease-out'; tree.style.opacity = '1'; }
-          setTimeout(() => { wrapper.style.removeProperty('animation'); }, 4800);
+          sceneTimeline.setTimeout(() => { wrapper.style.removeProperty('animation'); }, 4800);
         });
       }, 0);
 
@@ -2120,7 +2999,7 @@ const TRANSITIONS = {
         }
       });
 
-      requestAnimationFrame(() => {
+      sceneTimeline.requestAnimationFrame(() => {
         allTrees.forEach(tree => {
           const isLeft = tree.classList.toString().includes('left');
           const direction = isLeft ? '-150vw' : '150vw';
@@ -2136,7 +3015,7 @@ const TRANSITIONS = {
       // Background to light sky blue
       scene.style.backgroundColor = '#4da8b8';
       
-      setTimeout(() => {
+      sceneTimeline.setTimeout(() => {
         fogLayers.forEach(layer => {
           try { layer.remove(); } catch (e) {}
         });
@@ -2145,8 +3024,7 @@ const TRANSITIONS = {
         });
       }, 5000);
 
-      // Audio: transition ambient to birds for Scene 9
-      audioManager.switchToScene9Ambient(1500, 1500);
+      // Audio: runSceneTransition crossfades to the Scene 9 (dawn) profile
     },
     onComplete: (scene) => {
       scene.classList.remove('transitioning-8-9');
@@ -2157,8 +3035,43 @@ const TRANSITIONS = {
 
 
 
+/**
+ * Apply a transition's end state at once: its timers run on a paused
+ * timeline that is flushed, CSS transitions are off meanwhile (.scene--instant)
+ * and no transition audio plays
+ * @param {string} transitionKey - Key from TRANSITIONS config (e.g., '2-3')
+ */
+function settleTransition(transitionKey) {
+  const scene = document.getElementById('fog-scene');
+  const config = TRANSITIONS[transitionKey];
+  if (!scene || !config) return;
+
+  const liveTimeline = sceneTimeline;
+  sceneTimeline = new Timeline(`fast-forward ${transitionKey}`);
+  sceneTimeline.pause();
+  scene.classList.add('scene--instant');
+
+  if (config.onStart) config.onStart(scene);
+  sceneTimeline.flush();
+  if (config.onComplete) config.onComplete(scene);
+
+  sceneTimeline.cancel();
+  sceneTimeline = liveTimeline;
+  void scene.offsetHeight; // Commit the end state before transitions return
+  scene.classList.remove('scene--instant');
+}
+
+// Time a transition takes; reduced motion caps it (REDUCED_MOTION)
+function transitionDuration(config) {
+  return reducedMotion.enabled
+    ? Math.min(config.duration, REDUCED_MOTION.transitionDuration)
+    : config.duration;
+}
+
 /**
  * Execute a scene transition
+ * With reduced motion the scene fades through to the transition's end state
+ * (settleTransition halfway) instead of playing its animation
  * @param {string} transitionKey - Key from TRANSITIONS config (e.g., '2-3')
  */
 function runSceneTransition(transitionKey) {
@@ -2167,6 +3080,9 @@ function runSceneTransition(transitionKey) {
   
   const config = TRANSITIONS[transitionKey];
   if (!config) return console.warn(`Transition ${transitionKey} not configured`);
+
+  const fadeThrough = reducedMotion.enabled;
+  const duration = transitionDuration(config);
   
   // Play transition audio: 2-3, 4-5, 6-7 use Steps.wav looping
   if (transitionKey === '2-3' || transitionKey === '4-5' || transitionKey === '6-7') {
@@ -2178,653 +3094,605 @@ function runSceneTransition(transitionKey) {
   }
   
   // Execute transition start logic
-  if (config.onStart) config.onStart(scene);
+  if (fadeThrough) {
+    scene.style.setProperty('--fade-through-duration', `${duration}ms`);
+    scene.classList.add('scene--fade-through');
+    sceneTimeline.setTimeout(() => settleTransition(transitionKey), duration / 2);
+  } else if (config.onStart) {
+    config.onStart(scene);
+  }
   
   // Adjust ambient volumes for new scene and fade back up
   const targetScene = parseInt(transitionKey.split('-')[1]);
-  setTimeout(() => {
+  sceneTimeline.setTimeout(() => {
     audioManager.playAmbient(targetScene); // Adjusts volumes for new scene
     if (transitionKey === '2-3' || transitionKey === '4-5' || transitionKey === '6-7') {
       // Fade back up to full volume after transition
       audioManager.fadeInAmbient(800);
     }
-  }, config.audioFadeIn);
+  }, Math.min(config.audioFadeIn, duration));
   
   // Execute completion logic after transition duration
-  setTimeout(() => {
-    if (config.onComplete) config.onComplete(scene);
+  sceneTimeline.setTimeout(() => {
+    if (fadeThrough) {
+      scene.classList.remove('scene--fade-through');
+    } else if (config.onComplete) {
+      config.onComplete(scene);
+    }
     // Stop transition audio when scene transition completes
     if (transitionKey === '2-3' || transitionKey === '4-5' || transitionKey === '6-7') {
       audioManager.stopTransition();
     }
-  }, config.duration);
+  }, duration);
+}
+
+
+// ==============================================================================
+// COMPONENT: Scene Runner
+// ==============================================================================
+// Plays the declarative story from js/story.js (window.STORY)
+// Pattern: openScene(id) → run transition → build bubbles or title content
+//
+// Bubble scenes advance to `next` once every bubble is popped (finishBubble),
+// title scenes advance when their CTA is clicked.
+
+let currentSceneId = window.STORY ? window.STORY.start : 1;
+let sceneTimeline = new Timeline(`scene ${currentSceneId}`); // Timers of the current scene
+
+// Cancel whatever the current scene still has pending and start a new timeline
+function beginSceneTimeline(sceneId) {
+  sceneTimeline.cancel();
+  sceneTimeline = new Timeline(`scene ${sceneId}`);
+}
+
+/**
+ * Look up a scene in the story definition
+ * @param {number} sceneId - Scene id from js/story.js
+ * @returns {object|null} Scene config, or null if the story has no such scene
+ */
+function getSceneConfig(sceneId) {
+  if (!window.STORY) return null;
+  return window.STORY.scenes.find(s => s.id === sceneId) || null;
 }
 
-// Load Scene 3 after all Scene 2 bubbles are popped
-function openScene3() {
+/**
+ * Open a scene from the story definition
+ * @param {number} sceneId - Scene id from js/story.js
+ * @param {object} [options]
+ * @param {string[]} [options.popped] - Bubble ids to leave out (resumed run)
+ */
+function openScene(sceneId, { popped = [] } = {}) {
   const scene = document.getElementById('fog-scene');
   if (!scene) return console.warn('Scene container not found');
 
-  // Remove any remaining Scene 2 elements
-  scene.querySelectorAll('[data-scene2="true"]').forEach(b => b.remove());
+  const config = getSceneConfig(sceneId);
+  if (!config) return console.warn(`Scene ${sceneId} not configured`);
 
-  // Run the Scene 2 → 3 transition
-  runSceneTransition('2-3');
+  // Leave the previous scene behind: remove leftover bubbles and effects
+  const previous = getSceneConfig(currentSceneId);
+  if (previous && previous.id !== sceneId) {
+    scene.querySelectorAll(`.bubble[data-scene="${previous.id}"]`).forEach(b => b.remove());
+    if (previous.blossomRain) stopBlossomRain();
+  }
+  // Pending timers of the previous scene must not fire into this one
+  beginSceneTimeline(sceneId);
+  currentSceneId = sceneId;
 
-  // Wait for transition to complete before adding content
-  setTimeout(() => {
-    // Prefer cloning the HTML template `#scene-3-template` if present
-    const tpl = document.getElementById('scene-3-template');
-    if (tpl && tpl.content) {
-      const frag = tpl.content.cloneNode(true);
-      scene.appendChild(frag);
-      
-      // Wire CTA to proceed to Scene 4
-      const scene3Cta = document.getElementById('scene3-cta');
-      if (scene3Cta) {
-        scene3Cta.addEventListener('click', () => {
-          const scene3Content = document.querySelector('.scene-3-content');
-          if (scene3Content) {
-            scene3Content.style.transition = 'opacity 300ms ease';
-            scene3Content.style.opacity = '0';
-            setTimeout(() => {
-              try { scene3Content.remove(); } catch (e) {}
-              openScene4();
-            }, 300);
-          } else {
-            openScene4();
-          }
-        }, { once: true });
-      }
-      return;
-    }
+  progress.enterScene(sceneId, popped);
 
-    // Fallback: display a simple Scene 3 message with CTA
-    const scene3Content = document.createElement('div');
-    scene3Content.style.position = 'fixed';
-    scene3Content.style.top = '50%';
-    scene3Content.style.left = '50%';
-    scene3Content.style.transform = 'translate(-50%, -50%)';
-    scene3Content.style.textAlign = 'center';
-    scene3Content.style.color = '#F0EAD6';
-    scene3Content.style.zIndex = '100';
-    scene3Content.innerHTML = '<h1>Scene 3</h1><p>All bubbles popped!</p><button id="scene3-cta" style="margin-top: 20px; padding: 10px 20px; background: #2B6DF6; color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 16px;">Continue</button>';
-    scene.appendChild(scene3Content);
-    
-    // Wire CTA to proceed to Scene 4
-    const scene3Cta = document.getElementById('scene3-cta');
-    if (scene3Cta) {
-      scene3Cta.addEventListener('click', () => {
-        scene3Content.style.transition = 'opacity 300ms ease';
-        scene3Content.style.opacity = '0';
-        setTimeout(() => {
-          try { scene3Content.remove(); } catch (e) {}
-          openScene4();
-        }, 300);
-      }, { once: true });
-    }
-  }, TRANSITIONS['2-3'].duration);
+  if (config.type === 'title') {
+    openTitleScene(scene, config);
+  } else {
+    openBubbleScene(scene, config, popped);
+  }
 }
 
-// Load Scene 5 (Titel Segment 2) after all Scene 4 bubbles are popped
-function openScene5() {
-  const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+// Bubble scene: spawn the configured bubbles and start ambient audio
+// `popped` lists bubble ids to leave out (already popped in a resumed run)
+function openBubbleScene(scene, config, popped = []) {
+  const specs = (config.bubbles || []).filter(spec => !popped.includes(spec.id));
+  // Every bubble was popped before the run was interrupted: move on
+  if (popped.length && !specs.length) return openScene(config.next);
+
+  if (config.sceneClass) scene.classList.add(config.sceneClass);
+
+  // Start ambient audio for this scene, unmute, and fade in
+  if (config.ambience) {
+    sceneTimeline.setTimeout(() => {
+      audioManager.playAmbient(config.id);
+      audioManager.unmuteAudio();
+      sceneTimeline.setTimeout(() => {
+        audioManager.fadeInAmbient(600);
+      }, 100);
+    }, config.ambientDelay || 0);
+  }
 
-  // Remove any remaining Scene 4 elements
-  scene.querySelectorAll('[data-scene4="true"]').forEach(b => b.remove());
+  // Wrapper carries the scene-N class used by the scene-specific CSS
+  const container = document.createElement('div');
+  container.className = `scene-${config.id}`;
 
-  // Run the Scene 4 → 5 transition
-  runSceneTransition('4-5');
+  const newBubbles = specs.map(spec =>
+    (spec.element && document.getElementById(spec.element)) || createBubble(spec, config.id));
+  newBubbles.forEach(b => container.appendChild(b));
+  scene.appendChild(container);
 
-  // Wait for transition to complete before adding content
-  setTimeout(() => {
-    const tpl = document.getElementById('scene-5-template');
-    if (tpl && tpl.content) {
-      const frag = tpl.content.cloneNode(true);
-      scene.appendChild(frag);
-      
-      // Wire CTA to proceed to Scene 6
-      const scene5Cta = document.getElementById('scene5-cta');
-      if (scene5Cta) {
-        scene5Cta.addEventListener('click', () => {
-          const scene5Content = document.querySelector('.scene-5-content');
-          if (scene5Content) {
-            scene5Content.style.transition = 'opacity 300ms ease';
-            scene5Content.style.opacity = '0';
-            setTimeout(() => {
-              try { scene5Content.remove(); } catch (e) {}
-              openScene6();
-            }, 300);
-          } else {
-            openScene6();
-          }
-        }, { once: true });
-      }
-    }
-  }, TRANSITIONS['4-5'].duration);
-}
+  newBubbles.forEach((b, i) => playBubbleEntrance(b, specs[i], config, i));
 
-// Load Scene 6 with five unique bubbles
-function openScene6() {
-  const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+  if (config.blossomRain) startBlossomRain();
 
-  // Update ambient audio for Scene 6
-  audioManager.playAmbient(5); // Reuse Scene 5 audio config
-  audioManager.unmuteAudio();
-  setTimeout(() => {
-    audioManager.fadeInAmbient(600);
-  }, 100);
-
-  const tpl = document.getElementById('scene-6-template');
-  if (tpl && tpl.content) {
-    const frag = tpl.content.cloneNode(true);
-    const newBubbles = Array.from(frag.querySelectorAll('.bubble'));
-    newBubbles.forEach(b => b.dataset.scene6 = 'true');
-    scene.appendChild(frag);
-
-    // Animate each bubble with unique entrance
-    newBubbles.forEach((b, i) => {
-      b.style.transition = 'transform 600ms cubic-bezier(.34,1.56,.64,1), opacity 450ms ease, top 600ms cubic-bezier(.34,1.56,.64,1), left 600ms cubic-bezier(.34,1.56,.64,1)';
-      
-      setTimeout(() => {
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-        console.log('[SCENE6] Bubble positioned:', b.className, 'top:', b.style.top, 'left:', b.style.left, 'transform:', b.style.transform);
-        
-        // Start specific animation after entrance
-        setTimeout(() => {
-          b.style.transition = 'none';
-          if (b.classList.contains('bubble-eta')) {
-            b.style.animation = 'eta-rectangular-step 16s linear infinite';
-            console.log('[SCENE6] Joey animation started');
-          } else if (b.classList.contains('bubble-theta')) {
-            b.style.animation = 'theta-float-orbit 10s ease-in-out infinite';
-            console.log('[SCENE6] Kathleen animation started');
-          } else if (b.classList.contains('bubble-iota')) {
-            b.style.animation = 'iota-rise-from-bottom 14s ease-in-out infinite';
-            console.log('[SCENE6] Marieke animation started - should rise from bottom');
-          } else if (b.classList.contains('bubble-kappa')) {
-            b.style.animation = 'kappa-large-wobble 10s ease-in-out infinite';
-            console.log('[SCENE6] Rron animation started');
-          } else if (b.classList.contains('bubble-lambda')) {
-            b.style.animation = 'lambda-bounce-squeeze 8s ease-in-out infinite';
-            console.log('[SCENE6] Rawaz animation started');
-          }
-        }, 650);
-      }, 100 + (i * 120));
-    });
+  refreshBubbleList();
+  newBubbles.forEach(attachBubbleHandler);
+}
 
-    refreshBubbleList();
-    newBubbles.forEach(attachBubbleHandler);
-  }
+// Build a bubble element from its story spec (starts hidden at `from`)
+function createBubble(spec, sceneId) {
+  const b = document.createElement('div');
+  b.className = 'bubble';
+  if (spec.className) b.classList.add(spec.className);
+  applyBubbleData(b, spec, sceneId);
+  if (spec.top) b.style.top = spec.top;
+  if (spec.left) b.style.left = spec.left;
+  b.style.transform = spec.from || 'translate(-50%, -50%) scale(0.7)';
+  b.style.opacity = '0';
+
+  const lbl = document.createElement('span');
+  lbl.className = 'bubble-label';
+  lbl.innerHTML = I18n.translate('labels', spec.id, spec.label || spec.id);
+  b.appendChild(lbl);
+  return b;
 }
 
-// Load Scene 7 (Titel Segment 3) after all Scene 6 bubbles are popped
-function openScene7() {
-  const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+// Copy story data onto a bubble element (read back by expandBubble/finishBubble)
+function applyBubbleData(el, spec, sceneId) {
+  el.dataset.scene = String(sceneId);
+  el.dataset.bubble = spec.id;
+  if (spec.card) el.dataset.card = spec.card;
+  if (spec.template) el.dataset.template = spec.template;
+  if (spec.voice) el.dataset.voice = spec.voice.join(',');
+}
 
-  // Remove any remaining Scene 6 elements
-  scene.querySelectorAll('[data-scene6="true"]').forEach(b => b.remove());
+// Animate a bubble to its resting state, then start its orbit animation
+function playBubbleEntrance(bubble, spec, sceneConfig, index) {
+  const base = sceneConfig.entrance || {};
+  const own = spec.entrance || {};
+  const entrance = Object.assign({
+    transition: 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease',
+    style: { transform: 'translate(-50%, -50%) scale(1)' }
+  }, base, own);
+  // Per-bubble delay wins; otherwise stagger from the scene's base delay
+  const delay = own.delay !== undefined
+    ? own.delay
+    : (base.delay || 0) + index * (base.stagger || 0);
+
+  // Disable orbit animations during entrance
+  if (spec.orbit) bubble.style.animation = 'none';
+  bubble.style.transition = entrance.transition;
+
+  sceneTimeline.setTimeout(() => {
+    Object.assign(bubble.style, entrance.style);
+    bubble.style.opacity = '1';
+    if (!spec.orbit) return;
+
+    // After entrance, start the bubble's own orbit
+    sceneTimeline.setTimeout(() => {
+      bubble.style.transition = 'none';
+      bubble.style.animation = spec.orbit;
+    }, entrance.settle || 0);
+  }, delay);
+}
 
-  // Run the Scene 6 → 7 transition
-  runSceneTransition('6-7');
+// Title scene: run the transition, then show the template with its CTA
+function openTitleScene(scene, config) {
+  const transition = config.transition ? TRANSITIONS[config.transition] : null;
+  if (transition) runSceneTransition(config.transition);
 
   // Wait for transition to complete before adding content
-  setTimeout(() => {
-    const tpl = document.getElementById('scene-7-template');
-    if (tpl && tpl.content) {
-      const frag = tpl.content.cloneNode(true);
-      scene.appendChild(frag);
-      
-      // Wire CTA to proceed to Scene 8
-      const scene7Cta = document.getElementById('scene7-cta');
-      if (scene7Cta) {
-        scene7Cta.addEventListener('click', () => {
-          const scene7Content = document.querySelector('.scene-7-content');
-          if (scene7Content) {
-            scene7Content.style.transition = 'opacity 300ms ease';
-            scene7Content.style.opacity = '0';
-            setTimeout(() => {
-              try { scene7Content.remove(); } catch (e) {}
-              openScene8();
-            }, 300);
-          } else {
-            openScene8();
-          }
-        }, { once: true });
+  sceneTimeline.setTimeout(() => {
+    const tpl = document.getElementById(config.template);
+    if (!tpl || !tpl.content) return console.warn(`Scene template ${config.template} not found`);
+    const fragment = tpl.content.cloneNode(true);
+    I18n.localizeTemplate(config.template, fragment);
+    scene.appendChild(fragment);
+
+    const cta = document.getElementById(config.cta);
+    if (!cta) return;
+
+    cta.addEventListener('click', () => {
+      if (config.next === 'restart') {
+        restartExperience();
+        return;
       }
-    }
-  }, TRANSITIONS['6-7'].duration);
+
+      const content = scene.querySelector(config.content);
+      if (!content) return openScene(config.next);
+
+      content.style.transition = 'opacity 300ms ease';
+      content.style.opacity = '0';
+      sceneTimeline.setTimeout(() => {
+        try { content.remove(); } catch (e) {}
+        openScene(config.next);
+      }, 300);
+    }, { once: true });
+  }, transition ? transitionDuration(transition) : 0);
 }
 
-// Load Scene 8 with three creative bubbles
-function openScene8() {
+/**
+ * Remove a popped bubble and advance once its scene has no bubbles left
+ * @param {HTMLElement} bubble - The expanded bubble whose CTA said "Pop!"
+ */
+function finishBubble(bubble) {
   const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+  const sceneId = Number(bubble.dataset.scene);
+  const config = getSceneConfig(sceneId);
+  if (!config) return;
 
-  // Update ambient audio for Scene 8
-  audioManager.playAmbient(5); // Reuse Scene 5 audio config
-  audioManager.unmuteAudio();
-  setTimeout(() => {
-    audioManager.fadeInAmbient(600);
-  }, 100);
-
-  const tpl = document.getElementById('scene-8-template');
-  if (tpl && tpl.content) {
-    const frag = tpl.content.cloneNode(true);
-    const newBubbles = Array.from(frag.querySelectorAll('.bubble'));
-    newBubbles.forEach(b => b.dataset.scene8 = 'true');
-    scene.appendChild(frag);
-
-    // Start blossom rain for Scene 8
-    if (window.BlossomRain && typeof window.BlossomRain.initBlossomRainForScene8 === 'function') {
-      window.BlossomRain.initBlossomRainForScene8();
-    } else {
-      console.log('[BLOSSOM] Module not available');
-    }
+  progress.pop(sceneId, bubble.dataset.bubble);
+  // Keyboard users continue on the next bubble instead of losing focus
+  const hadFocus = bubble.contains(document.activeElement);
 
-    // Animate each bubble with creative entrance
-    newBubbles.forEach((b, i) => {
-      if (b.classList.contains('bubble-tobias')) {
-        // Tobias bubble: dramatic spiral entrance
-        b.style.transition = 'transform 1200ms cubic-bezier(.68,-0.55,.27,1.55), opacity 800ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1) rotate(0deg)';
-          b.style.opacity = '1';
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'tobias-spiral-bounce 14s ease-in-out infinite';
-          }, 1250);
-        }, 200);
-      } else if (b.classList.contains('bubble-mu')) {
-        b.style.transition = 'transform 900ms cubic-bezier(.68,-0.55,.27,1.55), opacity 600ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1) rotate(0deg)';
-          b.style.opacity = '1';
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'mu-spin-shift 20s ease-in-out infinite';
-          }, 950);
-        }, 150);
-      } else if (b.classList.contains('bubble-nu')) {
-        b.style.transition = 'transform 700ms cubic-bezier(.34,1.56,.64,1), opacity 500ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'nu-wave-complex 24s ease-in-out infinite';
-          }, 750);
-        }, 350);
-      } else if (b.classList.contains('bubble-xi')) {
-        b.style.transition = 'transform 800ms cubic-bezier(.175,.885,.32,1.275), opacity 550ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%)';
-          b.style.opacity = '1';
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'xi-elastic 15s ease-in-out infinite';
-          }, 850);
-        }, 550);
-      }
-    });
+  if (config.exit === 'burst') {
+    burstBubble(bubble, () => openScene(config.next));
+    return;
+  }
 
-    refreshBubbleList();
-    newBubbles.forEach(attachBubbleHandler);
+  const innerCard = bubble.querySelector('.bubble-inner-card');
+  if (innerCard) try { innerCard.remove(); } catch (e) {}
+  bubble.classList.remove('expanded');
+  if (scene) {
+    scene.classList.remove('scene--expanded');
+    scene.classList.remove('scene--zoom');
   }
+  bubble.style.transition = 'opacity 300ms ease, transform 300ms ease';
+  bubble.style.opacity = '0';
+  bubble.style.transform = 'translate(-50%, -50%) scale(0.8)';
+  sceneTimeline.setTimeout(() => {
+    try { bubble.remove(); } catch (e) {}
+    resetOtherBubbles();
+    sceneTimeline.setTimeout(() => {
+      const remaining = document.querySelectorAll(`.bubble[data-scene="${sceneId}"]`);
+      if (remaining.length === 0) openScene(config.next);
+      else if (hadFocus) remaining[0].focus({ preventScroll: true });
+    }, 50);
+  }, 300);
 }
 
-// Load Scene 9 (Eindscherm) after all Scene 8 bubbles are popped
-function openScene9() {
+// Full-screen pop of the expanded bubble (Scene 1 → 2), then continue
+function burstBubble(triggerBubble, onDone) {
   const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+  if (!scene) return;
+
+  // Play transition swoosh effect
+  audioManager.playTransition();
+
+  // Fade out current ambient; the next scene starts its own after ambientDelay
+  audioManager.fadeOutAmbient(500);
+
+  // remove takeover fog-zoom so background returns to idle while scene transition happens
+  scene.classList.remove('scene--zoom');
+
+  // To ensure the pop animation is visible even though the expanded bubble
+  // had takeover styles, clone the bubble and animate the clone from center.
+  try {
+    const clone = triggerBubble.cloneNode(true);
+    // Ensure clone has only the classes we want for popping
+    clone.className = 'bubble pop';
+    delete clone.dataset.scene;
+    // Position clone centered in viewport
+    clone.style.position = 'fixed';
+    clone.style.top = '50%';
+    clone.style.left = '50%';
+    clone.style.transform = 'translate(-50%, -50%) scale(1)';
+    clone.style.width = '140px';
+    clone.style.height = '140px';
+    clone.style.borderRadius = '50%';
+    clone.style.zIndex = '9999';
+    // remove any inner content so the pop looks like the bubble itself
+    const innerContent = clone.querySelector('.bubble-content');
+    if (innerContent) innerContent.remove();
+    const closeBtn = clone.querySelector('.bubble-close');
+    if (closeBtn) closeBtn.remove();
+
+    scene.appendChild(clone);
+
+    // remove the expanded element from DOM immediately
+    try { triggerBubble.remove(); } catch (e) {}
+
+    clone.addEventListener('animationend', () => {
+      try { clone.remove(); } catch (e) {}
+      onDone();
+    }, { once: true });
+    // fallback: if animationend doesn't fire for any reason, continue after 450ms
+    sceneTimeline.setTimeout(() => {
+      if (document.body.contains(clone)) {
+        try { clone.remove(); } catch (e) {}
+        onDone();
+      }
+    }, 450);
+  } catch (err) {
+    // Fallback: remove the trigger and continue immediately
+    try { triggerBubble.remove(); } catch (e) {}
+    onDone();
+  }
+}
 
-  // Remove any remaining Scene 8 elements
-  scene.querySelectorAll('[data-scene8="true"]').forEach(b => b.remove());
+// Blossom rain helpers (module lives in js/blossomRain.js)
+function startBlossomRain() {
+  if (window.BlossomRain && typeof window.BlossomRain.initBlossomRainForScene8 === 'function') {
+    // js/blossomRain.js is deferred: it may load after reducedMotion.apply()
+    if (window.BlossomRain.setReducedMotion) window.BlossomRain.setReducedMotion(reducedMotion.enabled);
+    window.BlossomRain.initBlossomRainForScene8();
+  } else {
+    console.log('[BLOSSOM] Module not available');
+  }
+}
 
-  // Stop and cleanup blossom rain when leaving Scene 8
+function stopBlossomRain() {
   if (window.BlossomRain && typeof window.BlossomRain.destroyBlossomRain === 'function') {
     window.BlossomRain.destroyBlossomRain();
   }
+}
 
-  // Run the Scene 8 → 9 transition (clears fog and trees)
-  runSceneTransition('8-9');
+// Tag bubbles that already live in the markup (Scene 1) with their story data
+// and label them in the current language
+function adoptStaticBubbles() {
+  if (!window.STORY) return;
+  window.STORY.scenes.forEach(config => {
+    (config.bubbles || []).forEach(spec => {
+      const el = spec.element && document.getElementById(spec.element);
+      if (!el) return;
+      applyBubbleData(el, spec, config.id);
+      // Position from the story when set (the editor moves it), else the CSS one
+      if (spec.top) el.style.top = spec.top;
+      if (spec.left) el.style.left = spec.left;
+      const label = el.querySelector('.bubble-label');
+      if (label && spec.label) label.innerHTML = I18n.translate('labels', spec.id, spec.label);
+    });
+  });
+}
 
-  // Wait for transition to complete before adding content
-  setTimeout(() => {
-    const tpl = document.getElementById('scene-9-template');
-    if (tpl && tpl.content) {
-      const frag = tpl.content.cloneNode(true);
-      scene.appendChild(frag);
-      
-      // Add click handler to restart button
-      const restartBtn = document.getElementById('restart-button');
-      if (restartBtn) {
-        restartBtn.addEventListener('click', () => {
-          console.log('[RESTART] Reloading page to restart experience');
-          location.reload();
-        });
-      }
-    }
-  }, TRANSITIONS['8-9'].duration);
+// ==============================================================================
+// COMPONENT: Editor
+// ==============================================================================
+// Authoring overlay for index.html?edit: drag a bubble to move it, pick its
+// orbit and attach narration in the editor panel, and edit title, sentences
+// and source in place once the bubble is open. Changes apply to window.STORY
+// and the loaded card text (js/content.js) for this session; "Exporteer JSON"
+// downloads the story plus every edited content file, to copy back into
+// js/story.js and content/.
+
+const editorPanel = document.getElementById('editor-panel');
+const editorSelected = document.getElementById('editor-selected');
+const editorOrbit = document.getElementById('editor-orbit');
+const editorVoice = document.getElementById('editor-voice');
+const editorTracks = document.getElementById('editor-tracks');
+const editorExport = document.getElementById('editor-export');
+
+const EDITOR = {
+  dragThreshold: 5 // px before a press on a bubble becomes a drag
+};
+
+const editor = {
+  selected: null, // Bubble element the panel shows
+  drag: null, // { bubble, x, y, moved } while a bubble is pressed
+  suppressClick: false, // The click that ends a drag must not open the bubble
+  edited: new Map() // Content path => locale, for every card changed
+};
+
+// Story spec of a bubble element (data-scene / data-bubble)
+function bubbleSpec(bubble) {
+  const config = bubble && getSceneConfig(Number(bubble.dataset.scene));
+  return (config && (config.bubbles || []).find(spec => spec.id === bubble.dataset.bubble)) || null;
 }
 
-// Load Scene 4 with three bubbles (gamma, epsilon, zeta)
-function openScene4() {
-  const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+// Narration tracks of a bubble: its content file's, or the story's own
+function bubbleVoice(spec) {
+  const card = spec.card && window.Content.get(spec.card, I18n.SOURCE);
+  return (card ? card.voice : spec.voice) || [];
+}
 
-  // Start Scene 4 ambient audio immediately, unmute, and fade in
-  audioManager.playAmbient(4);
-  audioManager.unmuteAudio();
-  setTimeout(() => {
-    audioManager.fadeInAmbient(600);
-  }, 100);
-
-  // Prefer cloning the HTML template `#scene-4-template` if present
-  const tpl = document.getElementById('scene-4-template');
-  if (tpl && tpl.content) {
-    const frag = tpl.content.cloneNode(true);
-    // Mark these as Scene 4 bubbles
-    const newBubbles = Array.from(frag.querySelectorAll('.bubble'));
-    newBubbles.forEach(b => b.dataset.scene4 = 'true');
-    scene.appendChild(frag);
-
-    // Animate bubbles in with different transitions
-    newBubbles.forEach((b, i) => {
-      if (b.classList.contains('bubble-delta')) {
-        // Delta: bouncy entrance from top with scale
-        b.style.animation = 'none'; // Disable animations during entrance
-        b.style.transition = 'top 650ms cubic-bezier(.34,1.56,.64,1), transform 650ms cubic-bezier(.34,1.56,.64,1), opacity 400ms ease';
-        setTimeout(() => {
-          b.style.top = '35%';
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-          // After entrance, start chase animation
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'delta-chase 18s cubic-bezier(.4,.05,.55,.95) infinite';
-          }, 700);
-        }, 100);
-      } else if (b.classList.contains('bubble-epsilon')) {
-        // Epsilon: smooth slide from bottom with fade
-        b.style.animation = 'none'; // Disable animations during entrance
-        b.style.transition = 'top 550ms cubic-bezier(.25,.46,.45,.94), transform 550ms cubic-bezier(.25,.46,.45,.94), opacity 500ms ease';
-        setTimeout(() => {
-          b.style.top = '65%';
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-          // After entrance, start eccentric wobble
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
-          }, 600);
-        }, 350);
-      } else if (b.classList.contains('bubble-zeta')) {
-        // Zeta: spiral entrance from center
-        b.style.animation = 'none';
-        b.style.transition = 'transform 700ms cubic-bezier(.34,1.56,.64,1), opacity 450ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-          setTimeout(() => {
-            b.style.transition = 'none';
-            b.style.animation = 'zeta-spiral 12s ease-in-out infinite';
-          }, 750);
-        }, 200);
-      } else {
-        // Fallback for any other bubbles
-        b.style.transition = 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease';
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-        }, 80 * i + 50);
-      }
+// Orbit animations used anywhere in the story, by keyframe name
+function storyOrbits() {
+  const orbits = new Map();
+  window.STORY.scenes.forEach(config => {
+    (config.bubbles || []).forEach(spec => {
+      if (spec.orbit) orbits.set(spec.orbit.split(' ')[0], spec.orbit);
     });
+  });
+  return orbits;
+}
 
-    // Attach handlers to the new bubbles
-    refreshBubbleList();
-    newBubbles.forEach(attachBubbleHandler);
-    return;
-  }
+function renderEditorPanel() {
+  if (!editMode || !editorPanel) return;
+  const spec = bubbleSpec(editor.selected);
 
-  // Fallback: create three bubbles procedurally
-  const specs = [
-    { label: 'Delta', top: '35%', left: '25%', template: 'bubble-content-delta', className: 'bubble-delta' },
-    { label: 'Epsilon', top: '65%', left: '70%', template: 'bubble-content-epsilon', className: 'bubble-epsilon' },
-    { label: 'Zeta', top: '45%', left: '55%', template: 'bubble-content-zeta', className: 'bubble-zeta' }
-  ];
-
-  specs.forEach((s, i) => {
-    const b = document.createElement('div');
-    b.className = 'bubble';
-    if (s.className) b.classList.add(s.className);
-    b.dataset.scene4 = 'true'; // Mark as Scene 4 bubble
-    b.dataset.template = s.template; // Assign unique content template
-    b.style.left = s.left;
-    const lbl = document.createElement('span');
-    lbl.className = 'bubble-label';
-    lbl.textContent = s.label;
-    b.appendChild(lbl);
-    
-    // Different initial states and transitions
-    if (s.label === 'Delta') {
-      b.style.animation = 'none'; // Disable animations during entrance
-      b.style.top = '-20%';
-      b.style.transform = 'translate(-50%, -50%) scale(0.5)';
-      b.style.opacity = '0';
-      scene.appendChild(b);
-      setTimeout(() => {
-        b.style.transition = 'top 650ms cubic-bezier(.34,1.56,.64,1), transform 650ms cubic-bezier(.34,1.56,.64,1), opacity 400ms ease';
-        b.style.top = s.top;
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-        // After entrance, start chase animation
-        setTimeout(() => {
-          b.style.transition = 'none';
-          b.style.animation = 'delta-chase 18s cubic-bezier(.4,.05,.55,.95) infinite';
-        }, 700);
-      }, 100);
-    } else if (s.label === 'Epsilon') {
-      b.style.animation = 'none'; // Disable animations during entrance
-      b.style.top = '120%';
-      b.style.transform = 'translate(-50%, -50%) scale(0.8)';
-      b.style.opacity = '0';
-      scene.appendChild(b);
-      setTimeout(() => {
-        b.style.transition = 'top 550ms cubic-bezier(.25,.46,.45,.94), transform 550ms cubic-bezier(.25,.46,.45,.94), opacity 500ms ease';
-        b.style.top = s.top;
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-        // After entrance, start eccentric wobble
-        setTimeout(() => {
-          b.style.transition = 'none';
-          b.style.animation = 'epsilon-wobble 4.5s ease-in-out infinite';
-        }, 600);
-      }, 350);
-    } else if (s.label === 'Zeta') {
-      b.style.animation = 'none';
-      b.style.top = s.top;
-      b.style.transform = 'translate(-50%, 50%) scale(0.6)';
-      b.style.opacity = '0';
-      scene.appendChild(b);
-      setTimeout(() => {
-        b.style.transition = 'transform 700ms cubic-bezier(.34,1.56,.64,1), opacity 450ms ease';
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-        setTimeout(() => {
-          b.style.transition = 'none';
-          b.style.animation = 'zeta-spiral 12s ease-in-out infinite';
-        }, 750);
-      }, 200);
-    } else {
-      b.style.top = s.top;
-      b.style.transform = 'translate(-50%, -50%) scale(0.7)';
-      b.style.opacity = '0';
-      scene.appendChild(b);
-      setTimeout(() => {
-        b.style.transition = 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease';
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-      }, 80 * i + 50);
-    }
-  });
+  editorSelected.textContent = spec
+    ? I18n.t('editor.selected', { id: spec.id, top: spec.top || '–', left: spec.left || '–' })
+    : I18n.t('editor.none');
+  editorOrbit.disabled = !spec;
+  editorVoice.disabled = !spec;
 
-  refreshBubbleList();
-  document.querySelectorAll('[data-scene4="true"]').forEach(attachBubbleHandler);
-}
+  editorOrbit.innerHTML = '';
+  editorOrbit.add(new Option(I18n.t('editor.orbitDefault'), ''));
+  storyOrbits().forEach((orbit, name) => editorOrbit.add(new Option(name, orbit)));
+  editorOrbit.value = (spec && spec.orbit) || '';
 
-// Create Scene 2 with three bubbles
-function openScene2(triggerBubble) {
-  const scene = document.getElementById('fog-scene');
-  if (!scene) return console.warn('Scene container not found');
+  const tracks = spec ? bubbleVoice(spec) : [];
+  editorTracks.textContent = spec ? (tracks.join(', ') || I18n.t('editor.noVoice')) : '';
+}
 
-  // spawn the three new bubbles (delayed until pop animation finishes)
-  const spawnScene2 = () => {
-    // spawnScene2 invoked
-    // Remove existing bubbles but preserve other scene elements (fog, overlays)
-    const oldBubbles = scene.querySelectorAll('.bubble');
-    oldBubbles.forEach(b => b.remove());
-    
-    // Mark scene as Scene 2
-    scene.classList.add('scene-2');
-
-    // Prefer cloning the HTML template `#scene-2-template` if present.
-    const tpl = document.getElementById('scene-2-template');
-    if (tpl && tpl.content) {
-      const frag = tpl.content.cloneNode(true);
-      // collect bubbles from the fragment so we can animate them with a stagger
-      const newBubbles = Array.from(frag.querySelectorAll('.bubble'));
-      
-      // Mark these as Scene 2 bubbles so CTA handler knows to remove them
-      newBubbles.forEach(b => b.dataset.scene2 = 'true');
+function selectBubble(bubble) {
+  if (editor.selected) editor.selected.classList.remove('bubble--selected');
+  editor.selected = bubble;
+  bubble.classList.add('bubble--selected');
+  renderEditorPanel();
+}
 
-      // append the fragment to the scene
-      scene.appendChild(frag);
+// Percentage of the scene, one decimal
+function scenePercent(offset, size) {
+  return `${Math.round(Math.min(Math.max(offset / size, 0), 1) * 1000) / 10}%`;
+}
 
-      // animate each new bubble with a small stagger (matches previous timing)
-      newBubbles.forEach((b, i) => {
-        // ensure starting state (template includes scaled/hidden start, but enforce)
-        b.style.transition = 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease';
-        
-        // small delay so transitions look staggered
-        setTimeout(() => {
-          b.style.transform = 'translate(-50%, -50%) scale(1)';
-          b.style.opacity = '1';
-        }, 80 * i + 50);
-      });
+function onEditorPointerDown(e) {
+  const bubble = e.target.closest('#fog-scene .bubble');
+  if (!bubble || !bubble.dataset.bubble || bubble.classList.contains('expanded')) return;
+  selectBubble(bubble);
+  editor.drag = { bubble, x: e.clientX, y: e.clientY, moved: false };
+}
 
-      // attach handlers to the new bubbles
-      refreshBubbleList();
-      newBubbles.forEach(attachBubbleHandler);
-      return;
-    }
+function onEditorPointerMove(e) {
+  const drag = editor.drag;
+  if (!drag) return;
+  if (!drag.moved && Math.hypot(e.clientX - drag.x, e.clientY - drag.y) < EDITOR.dragThreshold) return;
+
+  const rect = document.getElementById('fog-scene').getBoundingClientRect();
+  if (!rect.width || !rect.height) return;
+  if (!drag.moved) {
+    // Orbits may animate top/left themselves: hold still while dragging
+    drag.moved = true;
+    drag.bubble.style.transition = 'none';
+    drag.bubble.style.animation = 'none';
+  }
+  drag.bubble.style.top = scenePercent(e.clientY - rect.top, rect.height);
+  drag.bubble.style.left = scenePercent(e.clientX - rect.left, rect.width);
+}
 
-    // Fallback: if template missing, recreate procedurally (previous behavior)
-    const specs = [
-      { label: 'Alpha', top: '30%', left: '28%' },
-      { label: 'Beta', top: '52%', left: '72%' },
-      { label: 'Gamma', top: '72%', left: '42%' }
-    ];
+// Keep the dropped position in the story (and the entrance that ends there)
+function onEditorPointerUp() {
+  const drag = editor.drag;
+  editor.drag = null;
+  if (!drag || !drag.moved) return;
+
+  const spec = bubbleSpec(drag.bubble);
+  if (spec) {
+    spec.top = drag.bubble.style.top;
+    spec.left = drag.bubble.style.left;
+    const end = spec.entrance && spec.entrance.style;
+    if (end && end.top) end.top = spec.top;
+    if (end && end.left) end.left = spec.left;
+    drag.bubble.style.animation = spec.orbit || '';
+    console.log(`[EDITOR] ${spec.id} moved to ${spec.top} / ${spec.left}`);
+  }
 
-    specs.forEach((s, i) => {
-      const b = document.createElement('div');
-      b.className = 'bubble';
-      b.dataset.scene2 = 'true'; // Mark as Scene 2 bubble
-      b.style.top = s.top;
-      b.style.left = s.left;
-      const lbl = document.createElement('span');
-      lbl.className = 'bubble-label';
-      lbl.textContent = s.label;
-      b.appendChild(lbl);
-      b.style.transform = 'translate(-50%, -50%) scale(0.7)';
-      b.style.opacity = '0';
-      scene.appendChild(b);
-      setTimeout(() => {
-        b.style.transition = 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease';
-        b.style.transform = 'translate(-50%, -50%) scale(1)';
-        b.style.opacity = '1';
-      }, 80 * i + 50);
-    });
+  editor.suppressClick = true;
+  setTimeout(() => { editor.suppressClick = false; }, 0);
+  renderEditorPanel();
+}
 
-    refreshBubbleList();
-    document.querySelectorAll('.bubble').forEach(attachBubbleHandler);
+// Card DOM => content entry (title, source and sentences as html)
+function readCard(content, entry) {
+  const html = selector => {
+    const el = content.querySelector(selector);
+    return el ? el.innerHTML : undefined;
   };
+  return Object.assign({}, entry, {
+    title: html('.bubble-title'),
+    source: html('.bubble-source'),
+    paragraphs: Array.from(content.querySelectorAll('.bubble-sub')).map(p => {
+      const sentences = Array.from(p.querySelectorAll('.sentence'));
+      return {
+        page: Number((sentences[0] && sentences[0].dataset.page) || 1),
+        sentences: sentences.map(sentence => sentence.innerHTML)
+      };
+    })
+  });
+}
 
-  if (triggerBubble) {
-    // Play transition swoosh effect
-    audioManager.playTransition();
-    
-    // Fade out Scene 1 ambient and prepare to play Scene 2 ambient
-    audioManager.fadeOutAmbient(500);
-    
-    // remove takeover fog-zoom so background returns to idle while scene transition happens
-    scene.classList.remove('scene--zoom');
+/**
+ * Make an opened card editable in place (called by expandBubble)
+ * Every change is kept in the loaded content, in the current language
+ * @param {HTMLElement} bubble - Bubble with a content file (data-card)
+ * @param {HTMLElement} content - Its .bubble-content
+ */
+function makeCardEditable(bubble, content) {
+  const cardId = bubble.dataset.card;
+  content.querySelectorAll('.bubble-title, .sentence, .bubble-source').forEach(el => {
+    el.setAttribute('contenteditable', 'true');
+  });
 
-    // To ensure the pop animation is visible even though the expanded bubble
-    // had takeover styles, clone the bubble and animate the clone from center.
-    try {
-      const clone = triggerBubble.cloneNode(true);
-      // Ensure clone has only the classes we want for popping
-      clone.className = 'bubble pop';
-      // Position clone centered in viewport
-      clone.style.position = 'fixed';
-      clone.style.top = '50%';
-      clone.style.left = '50%';
-      clone.style.transform = 'translate(-50%, -50%) scale(1)';
-      clone.style.width = '140px';
-      clone.style.height = '140px';
-      clone.style.borderRadius = '50%';
-      clone.style.zIndex = '9999';
-      // remove any inner content so the pop looks like the bubble itself
-      const innerContent = clone.querySelector('.bubble-content');
-      if (innerContent) innerContent.remove();
-      const closeBtn = clone.querySelector('.bubble-close');
-      if (closeBtn) closeBtn.remove();
-
-      scene.appendChild(clone);
-
-      // remove the expanded element from DOM immediately
-      try { triggerBubble.remove(); } catch (e) {}
-
-      clone.addEventListener('animationend', () => {
-        try { clone.remove(); } catch (e) {}
-        spawnScene2();
-        // Wait for fadeOut to complete (500ms) before starting new audio
-        setTimeout(() => {
-          audioManager.playAmbient(2);
-          // Unmute immediately after creating new audio layers
-          audioManager.unmuteAudio();
-          setTimeout(() => {
-            audioManager.fadeInAmbient(600);
-          }, 100);
-        }, 550);
-      }, { once: true });
-      // fallback: if animationend doesn't fire for any reason, spawn after 450ms
-      setTimeout(() => {
-        if (document.body.contains(clone)) {
-          try { clone.remove(); } catch (e) {}
-          spawnScene2();
-          // Wait for fadeOut to complete before starting new audio
-          setTimeout(() => {
-            audioManager.playAmbient(2);
-            // Unmute immediately after creating new audio layers
-            audioManager.unmuteAudio();
-            setTimeout(() => {
-              audioManager.fadeInAmbient(600);
-            }, 100);
-          }, 550);
-        }
-      }, 450);
-    } catch (err) {
-      // Fallback: remove the trigger and spawn immediately
-      try { triggerBubble.remove(); } catch (e) {}
-      spawnScene2();
-    }
+  // A sentence stays one line; Enter would split it into blocks
+  content.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.classList.contains('sentence')) e.preventDefault();
+  });
+
+  content.addEventListener('input', () => {
+    const path = window.Content.set(cardId, readCard(content, window.Content.get(cardId)));
+    editor.edited.set(path, I18n.locale);
+  });
+}
+
+// Attached files play right away (Assets.add); the export lists their names,
+// the files themselves still have to be copied into assets/audio
+function attachVoice(files) {
+  const bubble = editor.selected;
+  const spec = bubbleSpec(bubble);
+  if (!spec || !files.length) return;
+
+  const tracks = files.map(file => file.name);
+  files.forEach(file => window.Assets.add(`assets/audio/${file.name}`, file));
+
+  if (spec.card) {
+    const entry = Object.assign({}, window.Content.get(spec.card, I18n.SOURCE), { voice: tracks });
+    editor.edited.set(window.Content.set(spec.card, entry, I18n.SOURCE), I18n.SOURCE);
   } else {
-    spawnScene2();
+    spec.voice = tracks;
+    bubble.dataset.voice = tracks.join(',');
   }
+  console.log(`[EDITOR] ${spec.id} voice: ${tracks.join(', ')}`);
+  renderEditorPanel();
+}
+
+// Download { story, content: { path: file text } } as story.json
+function exportStory() {
+  const content = {};
+  editor.edited.forEach((locale, path) => {
+    const cardId = path.split('/').pop().replace(/\.md$/, '');
+    content[path] = window.Content.stringify(window.Content.get(cardId, locale), locale);
+  });
+
+  const json = JSON.stringify({ story: window.STORY, content }, null, 2);
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'story.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  console.log(`[EDITOR] Exported story.json (${Object.keys(content).length} content files)`);
+}
+
+if (editMode && editorPanel) {
+  document.body.classList.add('editing');
+  editorPanel.hidden = false;
+
+  document.addEventListener('pointerdown', onEditorPointerDown);
+  document.addEventListener('pointermove', onEditorPointerMove);
+  document.addEventListener('pointerup', onEditorPointerUp);
+  document.addEventListener('click', (e) => {
+    if (!editor.suppressClick) return;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
+
+  editorOrbit.addEventListener('change', () => {
+    const bubble = editor.selected;
+    const spec = bubbleSpec(bubble);
+    if (!spec) return;
+    if (editorOrbit.value) spec.orbit = editorOrbit.value;
+    else delete spec.orbit;
+    if (!bubble.classList.contains('expanded')) {
+      bubble.style.transition = 'none';
+      bubble.style.animation = spec.orbit || '';
+    }
+    console.log(`[EDITOR] ${spec.id} orbit: ${spec.orbit || 'none'}`);
+  });
+
+  editorVoice.addEventListener('change', () => {
+    attachVoice(Array.from(editorVoice.files));
+    editorVoice.value = '';
+  });
+  editorExport.addEventListener('click', exportStory);
+
+  renderEditorPanel();
+  console.log('[EDITOR] Edit mode on');
 }
@@ -0,0 +1,126 @@
+/**
+ * ==============================================================================
+ * FogResolve(AI) - Asset Manifest
+ * ==============================================================================
+ *
+ * Every file the experience needs, relative to index.html. The preloader
+ * (js/assets.js) fetches these on the landing screen and reports the ones that
+ * are missing, and the service worker (sw.js) caches them for offline use.
+ * Content files are fetched by js/content.js instead of the preloader.
+ * Plain data on `self` so the worker can load it with importScripts.
+ *
+ * Add new files here when a scene, bubble or profile starts using them; files
+ * the story references but this list forgets show up as a console warning.
+ *
+ * ==============================================================================
+ */
+
+self.ASSET_MANIFEST = {
+  // Ambience profiles, narration and effects (assets/audio)
+  audio: [
+    'assets/audio/frogs.mp3',
+    'assets/audio/night.mp3',
+    'assets/audio/insects.mp3',
+    'assets/audio/Winds.wav',
+    'assets/audio/Birdsong1.mp3',
+    'assets/audio/birdsong2.mp3',
+    'assets/audio/Intro.mp3',
+    'assets/audio/Copilot.mp3',
+    'assets/audio/Chat1.mp3',
+    'assets/audio/Chat2.mp3',
+    'assets/audio/WatisAI.mp3',
+    'assets/audio/Geneve Angelista.mp3',
+    'assets/audio/Paul Blok.mp3',
+    'assets/audio/Michiel Bernsen.mp3',
+    'assets/audio/Joey.mp3',
+    'assets/audio/Kathleen van Dam.mp3',
+    'assets/audio/MariekeMol.mp3',
+    'assets/audio/RronNushi.mp3',
+    'assets/audio/RawazTahir.mp3',
+    'assets/audio/Tobias1.mp3',
+    'assets/audio/Tobias2.mp3',
+    'assets/audio/Swoosh.wav',
+    'assets/audio/Steps.wav',
+    'assets/audio/BubblePopRev.wav',
+    'assets/audio/Bubble-pop.mp3',
+    'assets/audio/crow-sfx-318131.mp3'
+  ],
+
+  // Trees, profile photos and petals (assets/img)
+  images: [
+    'assets/img/Vector 6.svg',
+    'assets/img/Vector 7.svg',
+    'assets/img/Vector 8.svg',
+    'assets/img/brown (1).svg',
+    'assets/img/brown (2).svg',
+    'assets/img/brown (3).svg',
+    'assets/img/leaves (1).svg',
+    'assets/img/leaves (2).svg',
+    'assets/img/leaves (3).svg',
+    'assets/img/cherries (1).svg',
+    'assets/img/cherries (2).svg',
+    'assets/img/cherries (3).svg',
+    'assets/img/Blossom.svg',
+    'assets/img/PaulBlok.png',
+    'assets/img/Michiel.png',
+    'assets/img/Rawaz.png',
+    'assets/img/Tobias.png'
+  ],
+
+  // Local fonts (css/fonts.css)
+  fonts: [
+    'assets/fonts/marcellus-latin-400-normal.woff2',
+    'assets/fonts/work-sans-latin-300-normal.woff2',
+    'assets/fonts/work-sans-latin-400-normal.woff2',
+    'assets/fonts/work-sans-latin-500-normal.woff2'
+  ],
+
+  // Narration cue files (assets/captions, one per voice track)
+  captions: [
+    'assets/captions/Intro.vtt',
+    'assets/captions/Copilot.vtt',
+    'assets/captions/Chat1.vtt',
+    'assets/captions/Chat2.vtt',
+    'assets/captions/WatisAI.vtt',
+    'assets/captions/Geneve Angelista.vtt',
+    'assets/captions/Paul Blok.vtt',
+    'assets/captions/Michiel Bernsen.vtt',
+    'assets/captions/Joey.vtt',
+    'assets/captions/Kathleen van Dam.vtt',
+    'assets/captions/MariekeMol.vtt',
+    'assets/captions/RronNushi.vtt',
+    'assets/captions/RawazTahir.vtt',
+    'assets/captions/Tobias1.vtt',
+    'assets/captions/Tobias2.vtt'
+  ],
+
+  // Bubble card text (js/content.js): content/nl plus every translation
+  content: [
+    'content/nl/intro.md',
+    'content/nl/alpha.md',
+    'content/nl/beta.md',
+    'content/nl/gamma.md',
+    'content/nl/delta.md',
+    'content/nl/epsilon.md',
+    'content/nl/zeta.md',
+    'content/nl/eta.md',
+    'content/nl/theta.md',
+    'content/nl/iota.md',
+    'content/nl/kappa.md',
+    'content/nl/lambda.md',
+    'content/nl/tobias.md',
+    'content/en/intro.md',
+    'content/en/alpha.md',
+    'content/en/beta.md',
+    'content/en/gamma.md',
+    'content/en/delta.md',
+    'content/en/epsilon.md',
+    'content/en/zeta.md',
+    'content/en/eta.md',
+    'content/en/theta.md',
+    'content/en/iota.md',
+    'content/en/kappa.md',
+    'content/en/lambda.md',
+    'content/en/tobias.md'
+  ]
+};
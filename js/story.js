@@ -0,0 +1,288 @@
+/**
+ * ==============================================================================
+ * FogResolve(AI) - Story Definition
+ * ==============================================================================
+ *
+ * Declarative scene graph for the whole experience. The scene runner in main.js
+ * (openScene) reads this file; adding, removing or reordering scenes only needs
+ * changes here (plus the HTML templates the scenes point to).
+ *
+ * STORY FIELDS:
+ * -------------
+ * - start:       Id of the first scene
+ * - exploration: true lets visitors close an expanded bubble and reopen it
+ *                later (also index.html?explore); popping still marks it done
+ * - chapters:    [{ id, title, scenes }] segments listed in the chapter menu;
+ *                selecting one jumps to its first scene
+ *
+ * Labels, chapter titles and template text are Dutch; translations live in
+ * js/locales/<code>.js, keyed by bubble id, chapter id and template id.
+ * Bubble card text lives in content/<code>/<card>.md (js/content.js).
+ *
+ * SCENE FIELDS:
+ * -------------
+ * - id:          Scene number, used by `next`, keyboard shortcuts and CSS classes
+ * - type:        'bubbles' (pop every bubble to advance) or 'title' (CTA advances)
+ * - transition:  Key from TRANSITIONS (main.js) to run when entering the scene
+ * - next:        Id of the following scene, or 'restart' on the end screen
+ * - ambience:    Profile name from STORY.ambience played while in the scene
+ *
+ * 'bubbles' scenes:
+ * - ambientDelay: Wait (ms) before ambience starts, e.g. after a fade-out
+ * - sceneClass:   Extra class set on #fog-scene while the scene is active
+ * - exit:         'burst' pops the last bubble with a full-screen burst
+ * - blossomRain:  Start BlossomRain while the scene is active
+ * - entrance:     Default entrance for every bubble { transition, delay, stagger,
+ *                 style, settle }; a bubble's own `entrance` overrides it
+ * - bubbles:      [{ id, card, label, className, top, left, from, orbit }]
+ *                 `element` reuses a bubble already in the markup instead
+ *                 `card` names content/nl/<card>.md: title, text, source, voice
+ *                 tracks (one per --- section; sections without their own track
+ *                 keep the previous one playing) and portrait. Captions:
+ *                 assets/captions/<track>.vtt, one cue per sentence
+ *                 `template` and `voice` instead of `card`: a <template> id in
+ *                 index.html and the narration tracks
+ *                 `orbit` is the CSS animation once the bubble has entered
+ *                 (keyframes in css/style.css); className only styles it
+ *
+ * 'title' scenes:
+ * - template:  <template> id cloned into the scene after the transition
+ * - content:   Selector of the cloned root (faded out when the CTA is clicked)
+ * - cta:       Id of the button that moves on to `next`
+ *
+ * AMBIENCE PROFILES (STORY.ambience):
+ * -----------------------------------
+ * - layers:    [{ id, file, volume }] looping files from assets/audio; layers
+ *              with the same id in two profiles keep playing across scenes
+ * - crossfade: Optional fade time (ms) when switching to this profile
+ *
+ * ==============================================================================
+ */
+
+window.STORY = {
+  start: 1,
+  exploration: false,
+
+  chapters: [
+    { id: 'intro', title: 'Intro', scenes: [1] },
+    { id: 'tools', title: 'AI-tools', scenes: [2] },
+    { id: 'interviews', title: 'De interviews', scenes: [3, 4, 5, 6] },
+    { id: 'vision', title: 'Visie van Tobias', scenes: [7, 8] },
+    { id: 'finale', title: 'Finale', scenes: [9] }
+  ],
+
+  ambience: {
+    // Scenes 1-2: frogs(1) night(1) insects(2)
+    pond: {
+      layers: [
+        { id: 'frogs', file: 'frogs.mp3', volume: 0.25 },
+        { id: 'night', file: 'night.mp3', volume: 0.25 },
+        { id: 'insects', file: 'insects.mp3', volume: 0.5 }
+      ]
+    },
+    // Scenes 3-5: frogs(1) night(2) insects(1)
+    forest: {
+      layers: [
+        { id: 'frogs', file: 'frogs.mp3', volume: 0.25 },
+        { id: 'night', file: 'night.mp3', volume: 0.5 },
+        { id: 'insects', file: 'insects.mp3', volume: 0.25 }
+      ]
+    },
+    // Scenes 6-7: frogs drop out, wind comes up
+    field: {
+      crossfade: 1200,
+      layers: [
+        { id: 'night', file: 'night.mp3', volume: 0.4 },
+        { id: 'insects', file: 'insects.mp3', volume: 0.2 },
+        { id: 'wind', file: 'Winds.wav', volume: 0.15 }
+      ]
+    },
+    // Scene 8: first birds under the blossom rain
+    blossom: {
+      crossfade: 1200,
+      layers: [
+        { id: 'night', file: 'night.mp3', volume: 0.25 },
+        { id: 'wind', file: 'Winds.wav', volume: 0.2 },
+        { id: 'bird2', file: 'birdsong2.mp3', volume: 0.2 }
+      ]
+    },
+    // Scene 9: birds only
+    dawn: {
+      crossfade: 1500,
+      layers: [
+        { id: 'bird1', file: 'Birdsong1.mp3', volume: 0.6 },
+        { id: 'bird2', file: 'birdsong2.mp3', volume: 0.6 }
+      ]
+    }
+  },
+
+  scenes: [
+    // Scene 1: Intro bubble (static markup in index.html)
+    {
+      id: 1,
+      type: 'bubbles',
+      ambience: 'pond',
+      exit: 'burst',
+      next: 2,
+      bubbles: [
+        { id: 'intro', element: 'test-bubble', card: 'intro', label: 'Waar ben ik?' }
+      ]
+    },
+
+    // Scene 2: AI tools (Copilot, ChatGPT, Wat is AI?)
+    {
+      id: 2,
+      type: 'bubbles',
+      ambience: 'pond',
+      ambientDelay: 550, // Wait for Scene 1 fade-out (500ms) to finish
+      sceneClass: 'scene-2',
+      next: 3,
+      entrance: {
+        transition: 'transform 450ms cubic-bezier(.2,.8,.2,1), opacity 350ms ease',
+        delay: 50,
+        stagger: 80,
+        style: { transform: 'translate(-50%, -50%) scale(1)' }
+      },
+      bubbles: [
+        { id: 'alpha', className: 'bubble-orbit-alpha', card: 'alpha', label: 'Volgens Copilot', top: '30%', left: '28%', from: 'translate(-50%,-50%) scale(0.7)', orbit: 'orbit-alpha 7s ease-in-out infinite' },
+        { id: 'beta', className: 'bubble-orbit-beta', card: 'beta', label: 'De visie van:<br>ChatGPT', top: '52%', left: '72%', from: 'translate(-50%,-50%) scale(0.7)', orbit: 'orbit-beta 8.5s ease-in-out infinite 0.5s' },
+        { id: 'gamma', className: 'bubble-orbit-gamma', card: 'gamma', label: 'Wat is AI?', top: '72%', left: '42%', from: 'translate(-50%,-50%) scale(0.7)', orbit: 'orbit-gamma 9.2s ease-in-out infinite 1s' }
+      ]
+    },
+
+    // Scene 3: Titel Segment 1
+    {
+      id: 3,
+      type: 'title',
+      ambience: 'forest',
+      transition: '2-3',
+      template: 'scene-3-template',
+      content: '.scene-3-content',
+      cta: 'scene3-cta',
+      next: 4
+    },
+
+    // Scene 4: CMD experts (Geneve, Paul Blok, Michiel)
+    {
+      id: 4,
+      type: 'bubbles',
+      ambience: 'forest',
+      next: 5,
+      bubbles: [
+        {
+          id: 'delta', className: 'bubble-delta', card: 'delta', label: 'Geneve',
+          top: '35%', left: '25%', from: 'translate(-50%,-200%) scale(0.5)',
+          orbit: 'delta-chase 18s cubic-bezier(.4,.05,.55,.95) infinite',
+          entrance: {
+            transition: 'top 650ms cubic-bezier(.34,1.56,.64,1), transform 650ms cubic-bezier(.34,1.56,.64,1), opacity 400ms ease',
+            delay: 100,
+            settle: 700,
+            style: { top: '35%', transform: 'translate(-50%, -50%) scale(1)' }
+          }
+        },
+        {
+          id: 'epsilon', className: 'bubble-epsilon', card: 'epsilon', label: 'Paul Blok',
+          top: '65%', left: '70%', from: 'translate(-50%,100%) scale(0.8)',
+          orbit: 'epsilon-wobble 4.5s ease-in-out infinite',
+          entrance: {
+            transition: 'top 550ms cubic-bezier(.25,.46,.45,.94), transform 550ms cubic-bezier(.25,.46,.45,.94), opacity 500ms ease',
+            delay: 350,
+            settle: 600,
+            style: { top: '65%', transform: 'translate(-50%, -50%) scale(1)' }
+          }
+        },
+        {
+          id: 'zeta', className: 'bubble-zeta', card: 'zeta', label: 'Michiel',
+          top: '45%', left: '55%', from: 'translate(-50%,50%) scale(0.6)',
+          orbit: 'zeta-spiral 12s ease-in-out infinite',
+          entrance: {
+            transition: 'transform 700ms cubic-bezier(.34,1.56,.64,1), opacity 450ms ease',
+            delay: 200,
+            settle: 750,
+            style: { transform: 'translate(-50%, -50%) scale(1)' }
+          }
+        }
+      ]
+    },
+
+    // Scene 5: Titel Segment 2
+    {
+      id: 5,
+      type: 'title',
+      ambience: 'forest',
+      transition: '4-5',
+      template: 'scene-5-template',
+      content: '.scene-5-content',
+      cta: 'scene5-cta',
+      next: 6
+    },
+
+    // Scene 6: Werkveld (Joey, Kathleen, Marieke, Rron, Rawaz)
+    {
+      id: 6,
+      type: 'bubbles',
+      ambience: 'field',
+      next: 7,
+      entrance: {
+        transition: 'transform 600ms cubic-bezier(.34,1.56,.64,1), opacity 450ms ease, top 600ms cubic-bezier(.34,1.56,.64,1), left 600ms cubic-bezier(.34,1.56,.64,1)',
+        delay: 100,
+        stagger: 120,
+        settle: 650,
+        style: { transform: 'translate(-50%, -50%) scale(1)' }
+      },
+      bubbles: [
+        { id: 'eta', className: 'bubble-eta', card: 'eta', label: 'Joey', top: '25%', left: '20%', from: 'translate(-50%,-150%) rotate(-15deg) scale(0.4)', orbit: 'eta-rectangular-step 16s linear infinite' },
+        { id: 'theta', className: 'bubble-theta', card: 'theta', label: 'Kathleen', top: '35%', left: '75%', from: 'translate(-50%,200%) scale(0.3)', orbit: 'theta-float-orbit 10s ease-in-out infinite' },
+        { id: 'iota', className: 'bubble-iota', card: 'iota', label: 'Marieke', top: '60%', left: '20%', from: 'translate(-50%,-50%) scale(0.5)', orbit: 'iota-rise-from-bottom 14s ease-in-out infinite alternate' },
+        { id: 'kappa', className: 'bubble-kappa', card: 'kappa', label: 'Rron', top: '90%', left: '85%', from: 'translate(-200%,-50%) scale(0.6)', orbit: 'kappa-large-wobble 10s ease-in-out infinite' },
+        { id: 'lambda', className: 'bubble-lambda', card: 'lambda', label: 'Rawaz', top: '50%', left: '55%', from: 'translate(-50%,-50%) scale(0)', orbit: 'lambda-bounce-squeeze 8s ease-in-out infinite' }
+      ]
+    },
+
+    // Scene 7: Titel Segment 3
+    {
+      id: 7,
+      type: 'title',
+      ambience: 'field',
+      transition: '6-7',
+      template: 'scene-7-template',
+      content: '.scene-7-content',
+      cta: 'scene7-cta',
+      next: 8
+    },
+
+    // Scene 8: Visie van Tobias (with blossom rain)
+    {
+      id: 8,
+      type: 'bubbles',
+      ambience: 'blossom',
+      blossomRain: true,
+      next: 9,
+      bubbles: [
+        {
+          id: 'tobias', className: 'bubble-tobias', card: 'tobias', label: 'Visie van Tobias',
+          top: '50%', left: '50%', from: 'translate(-50%, -50%) scale(0) rotate(720deg)',
+          orbit: 'tobias-spiral-bounce 14s linear infinite',
+          entrance: {
+            transition: 'transform 1200ms cubic-bezier(.68,-0.55,.27,1.55), opacity 800ms ease',
+            delay: 200,
+            settle: 1250,
+            style: { transform: 'translate(-50%, -50%) scale(1) rotate(0deg)' }
+          }
+        }
+      ]
+    },
+
+    // Scene 9: Eindscherm
+    {
+      id: 9,
+      type: 'title',
+      ambience: 'dawn',
+      transition: '8-9',
+      template: 'scene-9-template',
+      content: '.scene-9-content',
+      cta: 'restart-button',
+      next: 'restart'
+    }
+  ]
+};
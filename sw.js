@@ -0,0 +1,129 @@
+/**
+ * ==============================================================================
+ * FogResolve(AI) - Service Worker (offline kiosk mode)
+ * ==============================================================================
+ *
+ * Caches the app shell and every asset in js/manifest.js on install, so the
+ * booth keeps running after the network drops.
+ *
+ * - App shell (html/css/js) and content/ text: served from cache, refreshed
+ *   in the background, so text and story changes show up on the next load
+ * - Assets (audio, images, fonts, captions): cache first
+ *
+ * UPDATING CONTENT:
+ * -----------------
+ * - Changed or new asset files: bump CACHE_VERSION; the new worker caches
+ *   everything again and deletes the old cache
+ * - On the booth: open index.html?update-cache to re-download everything
+ *   into the current cache (main.js sends the 'refresh-cache' message)
+ *
+ * ==============================================================================
+ */
+
+importScripts('js/manifest.js');
+
+const CACHE_VERSION = 'fogresolve-v3';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'favicon.svg',
+  'css/fonts.css',
+  'css/style.css',
+  'js/blossomRain.js',
+  'js/story.js',
+  'js/i18n.js',
+  'js/locales/nl.js',
+  'js/locales/en.js',
+  'js/content.js',
+  'js/captions.js',
+  'js/manifest.js',
+  'js/assets.js',
+  'js/main.js'
+];
+
+const manifest = self.ASSET_MANIFEST || {};
+const ASSETS = [].concat(
+  manifest.audio || [],
+  manifest.images || [],
+  manifest.fonts || [],
+  manifest.captions || [],
+  manifest.content || []
+);
+
+// Cache every file on its own: a missing asset must not fail the install
+// (the landing screen reports missing files)
+async function cacheAll(cache, paths, options = {}) {
+  const results = await Promise.allSettled(paths.map(async (path) => {
+    const request = new Request(encodeURI(path), { cache: options.reload ? 'reload' : 'default' });
+    const response = await fetch(request);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    await cache.put(request, response);
+  }));
+
+  const failed = paths.filter((path, i) => results[i].status === 'rejected');
+  if (failed.length) console.warn('[SW] Not cached:', failed);
+  return { cached: paths.length - failed.length, failed };
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cacheAll(cache, APP_SHELL.concat(ASSETS)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('fogresolve-') && key !== CACHE_VERSION)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isAppShell(url) {
+  return url.pathname.endsWith('/') || /\.(html|css|js|md)$/.test(url.pathname);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(CACHE_VERSION);
+    // Ignore ?update-cache and similar flags when matching pages
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached && !isAppShell(url)) return cached;
+
+    // Full responses only: partial (206) media responses can't be cached
+    const fromNetwork = fetch(request).then((response) => {
+      if (response.status === 200) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+    // App shell: serve the cached copy, refresh it for the next load
+    if (cached) {
+      event.waitUntil(fromNetwork.catch(() => {}));
+      return cached;
+    }
+    return fromNetwork;
+  })());
+});
+
+// Manual update from the page: re-download everything into the current cache
+self.addEventListener('message', (event) => {
+  if (!event.data || event.data.type !== 'refresh-cache') return;
+
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cacheAll(cache, APP_SHELL.concat(ASSETS), { reload: true }))
+      .then(result => event.source.postMessage({ type: 'cache-refreshed', ...result }))
+  );
+});